@@ -0,0 +1,313 @@
+// bench.js - Run the benchmark in headless Chromium and check for regressions
+//
+//   npm run bench -- [options]
+//
+// Serves the production build (dist/, see `npm run build`) with `vite preview`,
+// opens it with ?bench in headless Chromium using software WebGL (SwiftShader)
+// and drives runBenchmark() through window.mapBenchmark (see src/main.js).
+// The report is written as JSON in the same format as the "Download JSON"
+// button, so it can be opened or compared in the app.
+//
+// Every scenario / library / count is compared by median FPS with a baseline
+// report (a previous output, --baseline). The process exits with code 1 when
+// any of them dropped by more than --threshold percent or is missing from the
+// new report, and with code 2 when the options are invalid, the run itself
+// failed, or the baseline is missing or was measured differently (mode,
+// viewport presets or window size). Record the first baseline with
+// --update-baseline, or run without one with --no-baseline.
+//
+// Absolute numbers from SwiftShader are far below real GPUs; compare only
+// against baselines recorded on the same machine type.
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { withApp } from './browser.js';
+
+const USAGE = `Usage: npm run bench -- [options]
+
+  --output <file>       Report to write (default: bench/latest.json)
+  --baseline <file>     Report to compare against (default: bench/baseline.json)
+  --threshold <pct>     Allowed median FPS drop in percent (default: 10)
+  --update-baseline     Write the report to the baseline file instead of comparing
+  --no-baseline         Only write the report, without the regression check
+  --scenarios <ids>     Comma-separated scenario ids (default: app default)
+  --libraries <ids>     Comma-separated library ids (default: all)
+  --counts <n,...>      Point counts (default: app default)
+  --iterations <n>      Iterations per configuration
+  --warmup <s>          Warmup seconds per test
+  --duration <s>        Measured seconds per test
+  --seed <n>            Data seed
+  --mode <mode>         frames (default) or throughput (uncapped renders per second)
+  --viewports <ids>     Comma-separated viewport presets (phone, laptop, qhd; default: none)
+  --width <px>          Browser viewport width (default: 1280)
+  --height <px>         Browser viewport height (default: 800)
+  --headed              Show the browser window
+  --help                Show this help`;
+
+const OPTIONS = {
+  output: { type: 'string', default: 'bench/latest.json' },
+  baseline: { type: 'string', default: 'bench/baseline.json' },
+  threshold: { type: 'string', default: '10' },
+  'update-baseline': { type: 'boolean', default: false },
+  'no-baseline': { type: 'boolean', default: false },
+  scenarios: { type: 'string' },
+  libraries: { type: 'string' },
+  counts: { type: 'string' },
+  iterations: { type: 'string' },
+  warmup: { type: 'string' },
+  duration: { type: 'string' },
+  seed: { type: 'string' },
+  mode: { type: 'string' },
+  viewports: { type: 'string' },
+  width: { type: 'string', default: '1280' },
+  height: { type: 'string', default: '800' },
+  headed: { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+};
+
+// Invalid options are a usage error (exit 2), not a regression
+class UsageError extends Error {}
+
+let options;
+try {
+  ({ values: options } = parseArgs({ options: OPTIONS }));
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+function list(name) {
+  const items = options[name].split(',').map(item => item.trim()).filter(Boolean);
+  if (items.length === 0) throw new UsageError(`--${name} needs at least one value`);
+  return items;
+}
+
+// A number option (or list item) that must be positive, or at least 0 with
+// allowZero; a bad value would otherwise give an empty or meaningless report
+function number(name, value, { integer = false, allowZero = false } = {}) {
+  const parsed = Number(value);
+  const valid = value.trim() !== '' && Number.isFinite(parsed) &&
+    (allowZero ? parsed >= 0 : parsed > 0) && (!integer || Number.isInteger(parsed));
+  if (!valid) {
+    const kind = `${allowZero ? 'non-negative' : 'positive'} ${integer ? 'integer' : 'number'}`;
+    throw new UsageError(`--${name} must be a ${kind}, got "${value}"`);
+  }
+  return parsed;
+}
+
+// Benchmark config overrides from the command line (unset keys use the app defaults)
+function getConfig() {
+  const config = {};
+  if (options.scenarios) config.scenarioIds = list('scenarios');
+  if (options.libraries) config.libraries = list('libraries');
+  if (options.counts) config.pointCounts = list('counts').map(count => number('counts', count, { integer: true }));
+  if (options.iterations) config.iterations = number('iterations', options.iterations, { integer: true });
+  if (options.warmup) config.warmupMs = number('warmup', options.warmup, { allowZero: true }) * 1000;
+  if (options.duration) config.durationMs = number('duration', options.duration) * 1000;
+  if (options.seed) config.seed = number('seed', options.seed, { integer: true });
+  if (options.mode) config.mode = options.mode;
+  if (options.viewports) config.viewportIds = list('viewports');
+  return config;
+}
+
+// Ids the app does not know, checked before anything is measured
+function checkIds(config, { libraries, scenarios, viewports, modes }) {
+  [
+    ['libraries', config.libraries, libraries],
+    ['scenarios', config.scenarioIds, scenarios],
+    ['viewports', config.viewportIds, viewports],
+    ['mode', config.mode && [config.mode], modes]
+  ].forEach(([name, ids = [], available]) => {
+    const unknown = ids.filter(id => !available.includes(id));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown --${name}: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+    }
+  });
+}
+
+function runInBrowser(config, browserOptions) {
+  return withApp('bench', browserOptions, async page => {
+    page.on('console', message => {
+      if (message.text().startsWith('[bench]')) console.log(message.text());
+    });
+
+    await page.waitForFunction(() => window.mapBenchmark, { timeout: 60000 });
+
+    checkIds(config, await page.evaluate(() => {
+      const { libraries, scenarios, viewports, modes } = window.mapBenchmark;
+      return { libraries, scenarios, viewports, modes };
+    }));
+
+    // Start without awaiting: a full run outlasts any single protocol call
+    await page.evaluate(config => { window.mapBenchmark.start(config); }, config);
+    await page.waitForFunction(() => window.mapBenchmark.done, { timeout: 0, polling: 1000 });
+
+    const { report, error } = await page.evaluate(() => ({
+      report: window.mapBenchmark.report,
+      error: window.mapBenchmark.error
+    }));
+    if (error) throw new Error(`Benchmark failed: ${error}`);
+    return report;
+  });
+}
+
+// A baseline only means something for runs measured the same way
+function checkComparable(report, baseline) {
+  const describe = ({ config, environment }) => ({
+    mode: config?.mode ?? 'frames',
+    'viewport presets': [...(config?.viewportIds ?? [])].sort().join(',') || 'none',
+    'window size': environment?.viewport ? `${environment.viewport.width}x${environment.viewport.height}` : 'unknown'
+  });
+  const current = describe(report);
+  const previous = describe(baseline);
+  const differences = Object.keys(current)
+    .filter(key => current[key] !== previous[key])
+    .map(key => `${key} ${previous[key]} -> ${current[key]}`);
+
+  if (differences.length > 0) {
+    throw new Error(`Baseline ${options.baseline} was measured differently (${differences.join(', ')}); ` +
+      'record a new one with --update-baseline');
+  }
+}
+
+// Results the baseline has that the new report lacks, for the scenarios both
+// measured (a library or count that was dropped or failed to run)
+function findMissing(report, baseline) {
+  const missing = [];
+
+  Object.keys(report.results).forEach(scenarioId => {
+    Object.entries(baseline.results[scenarioId] ?? {}).forEach(([lib, libResults]) => {
+      Object.entries(libResults).forEach(([count, { combined }]) => {
+        if (combined && !report.results[scenarioId][lib]?.[count]?.combined) {
+          missing.push({ scenarioId, lib, count: Number(count) });
+        }
+      });
+    });
+  });
+
+  return missing;
+}
+
+// Median FPS changes against the baseline, for everything both reports measured
+function compareWithBaseline(report, baseline) {
+  const changes = [];
+
+  Object.entries(report.results).forEach(([scenarioId, scenarioResults]) => {
+    Object.entries(scenarioResults).forEach(([lib, libResults]) => {
+      Object.entries(libResults).forEach(([count, { combined }]) => {
+        const previous = baseline.results[scenarioId]?.[lib]?.[count]?.combined;
+        if (!combined || !previous?.medianFps) return;
+
+        changes.push({
+          scenarioId,
+          lib,
+          count: Number(count),
+          baselineFps: previous.medianFps,
+          fps: combined.medianFps,
+          change: (combined.medianFps - previous.medianFps) / previous.medianFps * 100
+        });
+      });
+    });
+  });
+
+  return changes;
+}
+
+// A missing baseline is an error too: the regression check must not pass by
+// having nothing to compare with
+async function readBaseline(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No baseline at ${file}; record one with --update-baseline ` +
+        'or skip the regression check with --no-baseline');
+    }
+    throw new Error(`Could not read baseline ${file}: ${error.message}`);
+  }
+}
+
+async function writeReport(file, report) {
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(report, null, 2) + '\n');
+}
+
+async function main() {
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const threshold = number('threshold', options.threshold);
+  const config = getConfig();
+  const browserOptions = {
+    width: number('width', options.width, { integer: true }),
+    height: number('height', options.height, { integer: true }),
+    headed: options.headed
+  };
+  if (options['update-baseline'] && options['no-baseline']) {
+    throw new UsageError('--update-baseline and --no-baseline cannot be combined');
+  }
+
+  // Read before the run, so a missing baseline fails in seconds, not after it
+  const compare = !options['update-baseline'] && !options['no-baseline'];
+  const baseline = compare ? await readBaseline(options.baseline) : null;
+
+  const report = await runInBrowser(config, browserOptions);
+
+  await writeReport(options.output, report);
+  console.log(`Report written to ${options.output}`);
+
+  // The report becomes the baseline; comparing it with the one it replaces
+  // would check nothing the next run does not
+  if (options['update-baseline']) {
+    await writeReport(options.baseline, report);
+    console.log(`Baseline updated: ${options.baseline}, skipping the regression check`);
+    return 0;
+  }
+  if (!compare) {
+    console.log('--no-baseline: skipping the regression check');
+    return 0;
+  }
+  checkComparable(report, baseline);
+
+  const changes = compareWithBaseline(report, baseline);
+  const regressions = changes.filter(({ change }) => change < -threshold);
+  const missing = findMissing(report, baseline);
+  const libraryName = lib => report.libraries[lib]?.name ?? baseline.libraries[lib]?.name ?? lib;
+
+  console.table(changes.map(({ scenarioId, lib, count, baselineFps, fps, change }) => ({
+    scenario: scenarioId,
+    library: report.libraries[lib].name,
+    count,
+    baseline: baselineFps,
+    current: fps,
+    change: `${change > 0 ? '+' : ''}${change.toFixed(1)}%`
+  })));
+
+  if (regressions.length > 0) {
+    console.error(`${regressions.length} regression(s) beyond ${threshold}% median FPS:`);
+    regressions.forEach(({ scenarioId, lib, count, baselineFps, fps, change }) => {
+      console.error(`  ${scenarioId} / ${libraryName(lib)} / ${count}: ${baselineFps} -> ${fps} FPS (${change.toFixed(1)}%)`);
+    });
+  }
+  if (missing.length > 0) {
+    console.error(`${missing.length} result(s) in the baseline missing from this run:`);
+    missing.forEach(({ scenarioId, lib, count }) => {
+      console.error(`  ${scenarioId} / ${libraryName(lib)} / ${count}`);
+    });
+  }
+  if (regressions.length > 0 || missing.length > 0) return 1;
+
+  console.log(`No median FPS drop beyond ${threshold}% against ${options.baseline}`);
+  return 0;
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : error.message);
+    process.exit(2);
+  }
+);
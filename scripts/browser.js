@@ -0,0 +1,46 @@
+// browser.js - Open the production build in headless Chromium
+//
+// Shared by the headless runners (bench.js, conformance.js): serves dist/ with
+// `vite preview` and opens the app in Chromium using software WebGL
+// (SwiftShader), so they run on machines without a GPU.
+
+import { preview } from 'vite';
+import puppeteer from 'puppeteer';
+
+// Chromium flags: software WebGL everywhere, unrounded heap sizes for the
+// memory metric, and no throttling of a page that is never focused
+const CHROMIUM_ARGS = [
+  '--use-angle=swiftshader',
+  '--enable-unsafe-swiftshader',
+  '--ignore-gpu-blocklist',
+  '--enable-precise-memory-info',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding'
+];
+
+// Serve the build, open the app with `query` (e.g. 'bench') and resolve to
+// what run(page) returns; the browser and the server are closed either way
+export async function withApp(query, { width, height, headed }, run) {
+  const server = await preview({ preview: { port: 4173, open: false }, logLevel: 'warn' });
+
+  try {
+    const browser = await puppeteer.launch({
+      headless: !headed,
+      args: [...CHROMIUM_ARGS, `--window-size=${width},${height}`],
+      defaultViewport: { width, height }
+    });
+
+    try {
+      const page = await browser.newPage();
+      page.on('pageerror', error => console.error('Page error:', error.message));
+
+      await page.goto(`${server.resolvedUrls.local[0]}?${query}`, { waitUntil: 'load' });
+      return await run(page);
+    } finally {
+      await browser.close();
+    }
+  } finally {
+    await server.close();
+  }
+}
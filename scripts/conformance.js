@@ -0,0 +1,79 @@
+// conformance.js - Run the adapter conformance suite in headless Chromium
+//
+//   npm run conformance -- [options]
+//
+// Serves the production build (dist/, see `npm run build`), opens it with
+// ?conformance in headless Chromium using software WebGL (SwiftShader) and
+// reads the results of runConformance() from window.mapConformance (see
+// src/main.js). The process exits with code 1 when any check failed and with
+// code 2 when the options are invalid or the suite could not run.
+
+import { parseArgs } from 'node:util';
+import { withApp } from './browser.js';
+
+const USAGE = `Usage: npm run conformance -- [options]
+
+  --width <px>          Browser viewport width (default: 1280)
+  --height <px>         Browser viewport height (default: 800)
+  --headed              Show the browser window
+  --help                Show this help`;
+
+const OPTIONS = {
+  width: { type: 'string', default: '1280' },
+  height: { type: 'string', default: '800' },
+  headed: { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+};
+
+// Invalid options are a usage error (exit 2), not a failed check
+let options;
+try {
+  ({ values: options } = parseArgs({ options: OPTIONS }));
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+function runInBrowser() {
+  const browserOptions = { width: Number(options.width), height: Number(options.height), headed: options.headed };
+
+  return withApp('conformance', browserOptions, async page => {
+    await page.waitForFunction(() => window.mapConformance?.done, { timeout: 120000, polling: 500 });
+
+    const { results, error } = await page.evaluate(() => ({
+      results: window.mapConformance.results,
+      error: window.mapConformance.error
+    }));
+    if (error) throw new Error(`Conformance suite failed to run: ${error}`);
+    return results;
+  });
+}
+
+async function main() {
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const results = await runInBrowser();
+  const failures = results.filter(result => !result.passed);
+
+  console.table(results.map(({ lib, check, passed, error }) => ({ library: lib, check, passed, error })));
+
+  if (failures.length > 0) {
+    console.error(`${failures.length} of ${results.length} conformance check(s) failed:`);
+    failures.forEach(({ lib, check, error }) => console.error(`  ${lib} / ${check}: ${error}`));
+    return 1;
+  }
+
+  console.log(`All ${results.length} conformance checks passed`);
+  return 0;
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    console.error(error.message);
+    process.exit(2);
+  }
+);
@@ -0,0 +1,144 @@
+// adapter.js - The MapAdapter contract every library module implements
+//
+// Each library module (src/<library>/map.js) exports the members below (or,
+// when one library has several variants, builds objects that have them) so that
+// main.js and benchmark.js can drive any map without knowing which library
+// sits behind it. Modules also export a `library` descriptor and are
+// registered in src/libraries.js (see src/registry.js). Coordinates are always
+// [lng, lat]; zoom is expressed in the library's native convention (see
+// capabilities.tileSize).
+//
+//   initMap(container)           Create the map in the given element, return the native map
+//   destroy()                    Tear the map down and release its resources
+//   whenReady()                  Promise resolved once layers and data can be changed
+//   whenRendered()               Promise resolved once the current data and view are fully drawn
+//   resize()                     Recalculate the viewport after the container changed size
+//   renderSync()                 Draw the current data and view before returning; WebGL
+//                                libraries also wait for the GPU (see capabilities.syncRender)
+//   setPixelRatio(ratio)         Render at `ratio` device pixels per CSS pixel, null for the
+//                                device's own (see capabilities.pixelRatio); call resize() after.
+//                                May rebuild the native map (OpenLayers): view, layers, data and
+//                                onInteractionRendered() carry over, getMap() must be read again
+//   setView({ center, zoom, bearing })
+//                                Jump (no animation) to a view
+//   getView()                    Current { center, zoom, bearing }
+//   setLayerVisibility(id, on)   Toggle one of LAYER_IDS (unsupported ids are ignored)
+//   setPointsData(geojson)       Replace the points FeatureCollection
+//   updatePointPositions(geojson) Move existing points (same feature count and order)
+//   setLinesData(geojson)        Replace the lines FeatureCollection
+//   getLinesData()               Lines FeatureCollection currently shown
+//   project([lng, lat])          Container pixel [x, y] of a coordinate
+//   onInteractionRendered(listener)
+//                                Call listener({ type, layerId, time }) once a hover highlight
+//                                (type 'hover') or popup ('popup') opened by user input has been
+//                                drawn; returns an unsubscribe function
+//   getMap()                     Native map instance (or null before initMap)
+//   getFeatureCount()            Points + polygons + lines currently loaded
+//   codeSnippets                 Display snippets keyed by layer id
+//   defaultView                  { center, zoom, bearing } the map starts at: DEFAULT_VIEW
+//                                (src/map-view.js) in the native zoom convention
+//   capabilities                 Feature flags, see CAPABILITY_FLAGS
+
+export const LAYER_IDS = ['points', 'polygons', 'lines', 'heatmap', 'cluster'];
+
+export const ADAPTER_METHODS = [
+  'initMap',
+  'destroy',
+  'whenReady',
+  'whenRendered',
+  'resize',
+  'renderSync',
+  'setPixelRatio',
+  'setView',
+  'getView',
+  'setLayerVisibility',
+  'setPointsData',
+  'updatePointPositions',
+  'setLinesData',
+  'getLinesData',
+  'project',
+  'onInteractionRendered',
+  'getMap',
+  'getFeatureCount'
+];
+
+// Boolean capability flags
+//   heatmap     Heatmap layer renders something
+//   cluster     Clustering layer renders something
+//   rotation    setView honours bearing
+//   syncRender  renderSync() draws the frame; without it the browser still
+//               paints later (SVG) and the throughput mode skips the library
+//   pixelRatio  setPixelRatio() is honoured; without it the library always
+//               renders at window.devicePixelRatio
+export const CAPABILITY_FLAGS = ['heatmap', 'cluster', 'rotation', 'syncRender', 'pixelRatio'];
+
+// Tile size the zoom levels refer to: 256 (Leaflet, OpenLayers) or 512 (MapLibre, Deck.gl)
+export const TILE_SIZES = [256, 512];
+
+// Listener registry behind onInteractionRendered(); adapters call
+// emit(type, layerId) once the highlight or popup is on screen
+export function createInteractionEmitter() {
+  const listeners = new Set();
+
+  return {
+    emit(type, layerId) {
+      const time = performance.now();
+      listeners.forEach(listener => listener({ type, layerId, time }));
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+// Block until the GPU has executed every command issued on WebGL canvases
+// (for renderSync); 2D canvases are skipped
+export function finishWebGL(canvases) {
+  canvases.forEach(canvas => {
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    gl?.finish();
+  });
+}
+
+// Return a list of contract violations (empty when the adapter conforms)
+export function validateAdapter(adapter) {
+  const errors = [];
+
+  ADAPTER_METHODS.forEach(method => {
+    if (typeof adapter[method] !== 'function') {
+      errors.push(`missing method ${method}()`);
+    }
+  });
+
+  if (!adapter.codeSnippets || typeof adapter.codeSnippets !== 'object') {
+    errors.push('missing codeSnippets');
+  } else {
+    LAYER_IDS.forEach(layerId => {
+      if (typeof adapter.codeSnippets[layerId] !== 'string') {
+        errors.push(`missing code snippet for ${layerId}`);
+      }
+    });
+  }
+
+  const view = adapter.defaultView;
+  if (!view || !Array.isArray(view.center) || view.center.length !== 2 || typeof view.zoom !== 'number') {
+    errors.push('defaultView must be { center: [lng, lat], zoom, bearing }');
+  }
+
+  const capabilities = adapter.capabilities;
+  if (!capabilities) {
+    errors.push('missing capabilities');
+  } else {
+    CAPABILITY_FLAGS.forEach(flag => {
+      if (typeof capabilities[flag] !== 'boolean') {
+        errors.push(`capabilities.${flag} must be a boolean`);
+      }
+    });
+    if (!TILE_SIZES.includes(capabilities.tileSize)) {
+      errors.push(`capabilities.tileSize must be one of ${TILE_SIZES.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
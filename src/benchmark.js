@@ -1,66 +1,152 @@
 // benchmark.js - Core benchmark functionality with improved methodology
 
-import { getPoints } from './data/fake-data.js';
-import * as leafletModule from './leaflet/map.js';
-import * as openlayersModule from './openlayers/map.js';
-import * as maplibreModule from './maplibre/map.js';
-import * as deckglModule from './deckgl/map.js';
-
-// Configuration
-export const LIBRARIES = ['leaflet', 'openlayers', 'maplibre', 'deckgl'];
+import { getPoints, mulberry32 } from './data/fake-data.js';
+import { getLibraryIds, getLibrary, getLibraryInfo } from './libraries.js';
+import { LAYER_IDS } from './adapter.js';
+import { getScenario, supportsScenario, clearScenarioBuffers, DEFAULT_SCENARIO_IDS } from './scenarios.js';
+import { getEnvironment } from './environment.js';
+import { bootstrapMedianFps, confidenceInterval, compareReplicates } from './statistics.js';
+import { sampleHeap, measureMemory } from './memory.js';
+import { observeLongTasks } from './long-tasks.js';
+import { getViewportPreset, supportsViewport, applyViewport, formatViewport } from './viewport.js';
+import { CANONICAL_BOUNDS, EXTENT_TOLERANCE, fitBounds, toNativeView, getExtentError } from './map-view.js';
+
+// Default configuration (libraries come from the registry, see src/libraries.js)
 export const POINT_COUNTS = [500, 1000, 5000, 10000];
 
-// Timing configuration
+// Default timing configuration
 const WARMUP_MS = 2000;           // 2 second warmup (discarded)
 const TEST_DURATION_MS = 10000;   // 10 second measurement phase
 const ITERATIONS = 3;             // 3 runs per configuration
-const THROTTLE_THRESHOLD_MS = 100; // Frame gap indicating tab throttling
 const BENCHMARK_SEED = 42;        // Fixed seed for reproducible data
 
-// Shared view configuration (matching all maps)
-const VIEW_CENTER = [-74.0060, 40.7128]; // [lng, lat]
-const VIEW_ZOOM_CANVAS = 11; // Leaflet, OpenLayers (Canvas)
-const VIEW_ZOOM_WEBGL = 10;  // MapLibre, Deck.gl (WebGL renders 1 level deeper)
-
-// Library display names
-export const LIBRARY_NAMES = {
-  leaflet: 'Leaflet 2.0',
-  openlayers: 'OpenLayers',
-  maplibre: 'MapLibre GL',
-  deckgl: 'Deck.gl'
-};
-
-// Chart colors (matching app theme)
-export const LIBRARY_COLORS = {
-  leaflet: '#e94560',      // Primary red
-  openlayers: '#3498db',   // Blue
-  maplibre: '#2ecc71',     // Green
-  deckgl: '#f39c12'        // Orange
-};
-
-// Module mapping
-const MODULES = {
-  leaflet: leafletModule,
-  openlayers: openlayersModule,
-  maplibre: maplibreModule,
-  deckgl: deckglModule
+const THROTTLE_THRESHOLD_MS = 100; // Frame gap indicating tab throttling
+export const LONG_FRAME_MS = 50;   // Frame long enough to be seen as a stutter
+export const DEFAULT_REFRESH_RATE = 60; // Hz assumed when the display rate could not be estimated
+const MEMORY_SAMPLE_MS = 250;      // Heap sampling interval for the peak
+const RENDER_TIMEOUT_MS = 15000;   // Give up waiting for the first render after loading data
+const THROUGHPUT_SLICE_MS = 50;    // Back-to-back renders before yielding to the browser
+
+// How frames are measured:
+//   frames      Intervals between requestAnimationFrame callbacks (capped at the refresh rate)
+//   throughput  Frames drawn back to back with renderSync(); "FPS" is renders per second
+//               and libraries without capabilities.syncRender are skipped
+export const MEASUREMENT_MODES = ['frames', 'throughput'];
+
+// Fixed time spent around every test: tab switch (250ms), render
+// stabilisation (500ms) and the pause between tests (200ms)
+const TEST_OVERHEAD_MS = 950;
+
+// Bump when the report structure changes incompatibly
+export const REPORT_VERSION = 1;
+
+// Layers shown again after the benchmark unless the caller passes its own state
+const DEFAULT_LAYER_STATE = {
+  points: true,
+  polygons: true,
+  lines: true,
+  heatmap: false,
+  cluster: false
 };
 
 // Benchmark state
 let benchmarkState = 'idle';
 let abortController = null;
 let benchmarkResults = {};
+let benchmarkConfig = null;
+let benchmarkEnvironment = null;
+let startedAt = null;
+let completedAt = null;
+
+// Configuration a run uses unless the caller overrides parts of it
+export function getDefaultConfig() {
+  return {
+    scenarioIds: [...DEFAULT_SCENARIO_IDS],
+    libraries: getLibraryIds(),
+    pointCounts: [...POINT_COUNTS],
+    iterations: ITERATIONS,
+    warmupMs: WARMUP_MS,
+    durationMs: TEST_DURATION_MS,
+    seed: BENCHMARK_SEED,
+    mode: MEASUREMENT_MODES[0],
+    viewportIds: []   // Presets from src/viewport.js; none measures the current layout
+  };
+}
+
+// Results of a scenario measured at a viewport preset are kept under
+// "<scenarioId>@<viewportId>", next to the scenarios measured without one
+export function getResultKey(scenarioId, viewportId = null) {
+  return viewportId ? `${scenarioId}@${viewportId}` : scenarioId;
+}
+
+export function parseResultKey(key) {
+  const [scenarioId, viewportId = null] = key.split('@');
+  return { scenarioId, viewportId };
+}
+
+// Every scenario / viewport combination a run measures
+function getRunKeys({ scenarioIds, viewportIds }) {
+  const viewports = viewportIds.length > 0 ? viewportIds.map(getViewportPreset) : [null];
+  return scenarioIds.flatMap(scenarioId => viewports.map(viewport => ({
+    key: getResultKey(scenarioId, viewport?.id),
+    scenario: getScenario(scenarioId),
+    viewport
+  })));
+}
+
+// Why a library cannot run a scenario in the measurement mode and viewport
+// (null when it can)
+function getSkipReason(lib, scenario, mode, viewport) {
+  const adapter = getLibrary(lib);
+  if (!supportsScenario(adapter, scenario)) return `no ${scenario.requires} support`;
+  if (mode === 'throughput' && !adapter.capabilities.syncRender) return 'no synchronous render';
+  if (viewport && !supportsViewport(adapter, viewport)) {
+    return `cannot render at ${viewport.pixelRatio}x (fixed to the device's ${window.devicePixelRatio}x)`;
+  }
+  return null;
+}
+
+// Selected libraries that can run a scenario in the measurement mode and viewport
+function getScenarioLibraries(scenario, { libraries, mode }, viewport = null) {
+  return libraries.filter(lib => !getSkipReason(lib, scenario, mode, viewport));
+}
+
+// Selected libraries left out of each result key: { [resultKey]: { [lib]: reason } }
+function getSkippedLibraries(config) {
+  return Object.fromEntries(getRunKeys(config).map(({ key, scenario, viewport }) => [
+    key,
+    Object.fromEntries(config.libraries
+      .map(lib => [lib, getSkipReason(lib, scenario, config.mode, viewport)])
+      .filter(([, reason]) => reason))
+  ]));
+}
+
+// Number of measured tests in one iteration
+function countTests(config) {
+  return getRunKeys(config).reduce((total, { scenario, viewport }) =>
+    total + getScenarioLibraries(scenario, config, viewport).length * config.pointCounts.length, 0);
+}
+
+// Estimated wall-clock duration of a run in milliseconds
+export function estimateRunTime(config) {
+  return countTests(config) * config.iterations * (config.warmupMs + config.durationMs + TEST_OVERHEAD_MS);
+}
 
 // Create empty results structure with iteration support
-function createEmptyResults() {
+// results[resultKey][lib][count]; unsupported libraries are left out
+function createEmptyResults(config) {
   const results = {};
-  LIBRARIES.forEach(lib => {
-    results[lib] = {};
-    POINT_COUNTS.forEach(count => {
-      results[lib][count] = {
-        iterations: [],  // Array of per-iteration metrics
-        combined: null   // Combined stats calculated after all iterations
-      };
+  getRunKeys(config).forEach(({ key, scenario, viewport }) => {
+    results[key] = {};
+    getScenarioLibraries(scenario, config, viewport).forEach(lib => {
+      results[key][lib] = {};
+      config.pointCounts.forEach(count => {
+        results[key][lib][count] = {
+          iterations: [],  // Array of per-iteration metrics
+          failures: [],    // Why iterations could not be measured (e.g. view extent mismatch)
+          combined: null   // Combined stats calculated after all iterations
+        };
+      });
     });
   });
   return results;
@@ -72,11 +158,13 @@ function delay(ms) {
 }
 
 // Fisher-Yates shuffle for randomized test order
-function generateTestOrder() {
+function generateTestOrder(config) {
   const tests = [];
-  for (const lib of LIBRARIES) {
-    for (const count of POINT_COUNTS) {
-      tests.push({ lib, count });
+  for (const { key, scenario, viewport } of getRunKeys(config)) {
+    for (const lib of getScenarioLibraries(scenario, config, viewport)) {
+      for (const count of config.pointCounts) {
+        tests.push({ key, scenario, viewport, lib, count });
+      }
     }
   }
   // Shuffle
@@ -87,52 +175,22 @@ function generateTestOrder() {
   return tests;
 }
 
-// Animation buffer cache to avoid GC pressure during benchmarks
-// Key: point count, Value: { baseCoords, animatedPoints }
-const animationBuffers = new Map();
-
-// Pre-allocate animation buffer for a given point set
-function getAnimationBuffer(basePoints) {
-  const count = basePoints.features.length;
-
-  if (!animationBuffers.has(count)) {
-    // Cache base coordinates and create reusable GeoJSON structure
-    const baseCoords = basePoints.features.map(f => [...f.geometry.coordinates]);
-    const animatedPoints = {
-      type: 'FeatureCollection',
-      features: basePoints.features.map((feature, i) => ({
-        type: 'Feature',
-        properties: feature.properties,
-        geometry: {
-          type: 'Point',
-          coordinates: [baseCoords[i][0], baseCoords[i][1]] // Will be mutated in place
-        }
-      }))
-    };
-    animationBuffers.set(count, { baseCoords, animatedPoints });
-  }
-
-  return animationBuffers.get(count);
+// Nearest-rank percentile (0-100) of an ascending array
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * p / 100) - 1)];
 }
 
-// Update animated points in place (no allocations per frame)
-function updateAnimatedPoints(basePoints, elapsed) {
-  const { baseCoords, animatedPoints } = getAnimationBuffer(basePoints);
-  const features = animatedPoints.features;
+// Input-to-render latency metrics of a scenario's { samples, misses }
+function calculateInputMetrics({ samples, misses }) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const round = value => Math.round(value * 10) / 10;
 
-  for (let i = 0; i < features.length; i++) {
-    const [baseLng, baseLat] = baseCoords[i];
-    const phase = i * 0.1;
-    const speed = 0.5 + (i % 5) * 0.2;
-    const radius = 0.002 + (i % 10) * 0.0005;
-
-    // Mutate coordinates in place - no new object allocation
-    const coords = features[i].geometry.coordinates;
-    coords[0] = baseLng + Math.cos(elapsed * speed + phase) * radius;
-    coords[1] = baseLat + Math.sin(elapsed * speed + phase) * radius;
-  }
-
-  return animatedPoints;
+  return {
+    inputLatencyMedian: sorted.length > 0 ? round(percentile(sorted, 50)) : null,
+    inputLatencyP95: sorted.length > 0 ? round(percentile(sorted, 95)) : null,
+    inputSamples: sorted.length,
+    inputMisses: misses
+  };
 }
 
 // Calculate metrics from frame times with IQR outlier detection
@@ -145,7 +203,10 @@ function calculateMetrics(frameTimes) {
       maxFps: 0,
       avgFrameTime: 0,
       jitter: 0,
-      outliersExcluded: 0
+      outliersExcluded: 0,
+      p50FrameTime: 0,
+      p95FrameTime: 0,
+      p99FrameTime: 0
     };
   }
 
@@ -153,6 +214,11 @@ function calculateMetrics(frameTimes) {
   const sorted = [...frameTimes].sort((a, b) => a - b);
   const len = sorted.length;
 
+  // Tail percentiles use every frame: the outliers are the stutter they describe
+  const p50FrameTime = Math.round(percentile(sorted, 50) * 100) / 100;
+  const p95FrameTime = Math.round(percentile(sorted, 95) * 100) / 100;
+  const p99FrameTime = Math.round(percentile(sorted, 99) * 100) / 100;
+
   // IQR for outlier detection
   const q1Index = Math.floor(len * 0.25);
   const q3Index = Math.floor(len * 0.75);
@@ -199,15 +265,20 @@ function calculateMetrics(frameTimes) {
     medianFps,
     avgFrameTime: Math.round(avgFrameTime * 100) / 100,
     jitter: Math.round(jitter * 100) / 100,
-    outliersExcluded
+    outliersExcluded,
+    p50FrameTime,
+    p95FrameTime,
+    p99FrameTime
   };
 }
 
-// Unified animation + measurement loop
+// Unified animation + measurement loop, driving the scenario every frame
 // NOTE: We measure FRAME TIME (time between rAF callbacks), not API call time.
 // This is critical for WebGL libraries where the actual GPU work is async.
 // Frame time = how fast the system can produce frames = true throughput.
-function runMeasuredAnimation(lib, basePoints, { warmupMs, durationMs, signal }) {
+function runMeasuredScenario(scenario, context, { warmupMs, durationMs, signal }) {
+  const adapter = getLibrary(context.lib);
+
   return new Promise((resolve, reject) => {
     const frameTimes = [];
     let animationId = null;
@@ -217,6 +288,33 @@ function runMeasuredAnimation(lib, basePoints, { warmupMs, durationMs, signal })
     let lastFrameTime = performance.now();
     let maxFrameGap = 0;
     let throttleWarnings = 0;
+    let longFrames = 0;
+    let peakHeap = null;
+    let lastMemorySample = 0;
+    // Time spent in the scenario's adapter calls, per measured frame
+    let scriptTime = 0;
+    let scriptFrames = 0;
+    const stopLongTasks = observeLongTasks();
+
+    // Busy time per frame: from the frame's start (the rAF timestamp) to the
+    // first task after it, i.e. every rAF callback plus style, layout and paint.
+    // Unlike the frame interval it is not capped by vsync.
+    const frameWorkTimes = [];
+    const frameEnd = new MessageChannel();
+    let onFrameEndsDelivered = null;
+    frameEnd.port1.onmessage = ({ data }) => {
+      frameWorkTimes.push(performance.now() - data);
+      if (onFrameEndsDelivered && frameWorkTimes.length === scriptFrames) onFrameEndsDelivered();
+    };
+
+    // Resolves once every frame-end message posted so far has arrived, so the
+    // last measured frame is not lost when port1 closes
+    function frameEndsDelivered() {
+      return new Promise(resolve => {
+        if (frameWorkTimes.length === scriptFrames) resolve();
+        else onFrameEndsDelivered = resolve;
+      });
+    }
 
     // Visibility change listener
     const handleVisibilityChange = () => {
@@ -229,9 +327,11 @@ function runMeasuredAnimation(lib, basePoints, { warmupMs, durationMs, signal })
     function cleanup() {
       document.removeEventListener('visibilitychange', handleVisibilityChange);
       if (animationId) cancelAnimationFrame(animationId);
+      frameEnd.port1.close();
+      return stopLongTasks(startTime + warmupMs);
     }
 
-    function animate() {
+    function animate(frameStart) {
       if (signal.aborted) {
         cleanup();
         reject(new Error('Benchmark cancelled'));
@@ -252,6 +352,18 @@ function runMeasuredAnimation(lib, basePoints, { warmupMs, durationMs, signal })
         throttleWarnings++;
       }
 
+      // Count long frames, including stalls too long to be recorded below
+      if (!isWarmup && frameTime > LONG_FRAME_MS) {
+        longFrames++;
+      }
+
+      // Sample the heap for the peak (warmup included: it is part of the workload)
+      if (now - lastMemorySample >= MEMORY_SAMPLE_MS) {
+        const heap = sampleHeap();
+        if (heap !== null && (peakHeap === null || heap > peakHeap)) peakHeap = heap;
+        lastMemorySample = now;
+      }
+
       // Check warmup phase
       if (isWarmup && (now - startTime) >= warmupMs) {
         isWarmup = false;
@@ -260,11 +372,15 @@ function runMeasuredAnimation(lib, basePoints, { warmupMs, durationMs, signal })
       // Calculate elapsed time for animation
       const elapsed = (now - animationStart) / 1000;
 
-      // Update animated points in place (zero allocations per frame)
-      const animatedPoints = updateAnimatedPoints(basePoints, elapsed);
-
-      // Update the map (async for WebGL, sync for Canvas)
-      MODULES[lib].updatePointPositions(animatedPoints);
+      // Drive the scenario (map updates are async for WebGL, sync for Canvas);
+      // whatever the libraries do outside these calls is the rest of the frame
+      const scriptStart = performance.now();
+      scenario.frame(adapter, context, elapsed);
+      if (!isWarmup) {
+        scriptTime += performance.now() - scriptStart;
+        scriptFrames++;
+        frameEnd.port2.postMessage(frameStart);
+      }
 
       // Record frame time (interval between consecutive rAF callbacks)
       // This captures true throughput: includes previous frame's render work + compositor time
@@ -277,13 +393,26 @@ function runMeasuredAnimation(lib, basePoints, { warmupMs, durationMs, signal })
       if ((now - startTime) < (warmupMs + durationMs)) {
         animationId = requestAnimationFrame(animate);
       } else {
-        cleanup();
-        // Calculate metrics from frame times
-        const metrics = calculateMetrics(frameTimes);
-        resolve({
-          ...metrics,
-          maxFrameGap: Math.round(maxFrameGap),
-          throttleWarnings
+        frameEndsDelivered().then(() => {
+          const blocking = cleanup();
+          const measuredTime = now - startTime - warmupMs;
+          // Calculate metrics from frame times
+          const metrics = calculateMetrics(frameTimes);
+          resolve({
+            ...metrics,
+            maxFrameGap: Math.round(maxFrameGap),
+            throttleWarnings,
+            longFrames,
+            scriptTimePerFrame: scriptFrames > 0 ? Math.round(scriptTime / scriptFrames * 100) / 100 : 0,
+            scriptShare: measuredTime > 0 ? Math.round(scriptTime / measuredTime * 1000) / 10 : 0,
+            frameWorkTime: frameWorkTimes.length > 0
+              ? Math.round(percentile([...frameWorkTimes].sort((a, b) => a - b), 50) * 100) / 100
+              : null,
+            ...blocking,
+            peakHeap,
+            // Raw samples for the bootstrap statistics and distribution charts (0.01ms is plenty)
+            frameTimes: frameTimes.map(t => Math.round(t * 100) / 100)
+          });
         });
       }
     }
@@ -292,15 +421,88 @@ function runMeasuredAnimation(lib, basePoints, { warmupMs, durationMs, signal })
   });
 }
 
-// Switch to a specific tab
+// Resolve in a new task, after anything the browser queued meanwhile
+function nextTask() {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => resolve();
+    channel.port2.postMessage(null);
+  });
+}
+
+// Throughput loop: scenario frames back to back, each drawn with renderSync(),
+// in slices of THROUGHPUT_SLICE_MS so the page stays responsive. Render times
+// (frame + renderSync) take the place of frame times, so the FPS metrics mean
+// renders per second and are not capped by the display. Long tasks are not
+// recorded: every slice is one by design.
+async function runThroughputScenario(scenario, context, { warmupMs, durationMs, signal }) {
+  const adapter = getLibrary(context.lib);
+  const renderTimes = [];
+  const startTime = performance.now();
+  let maxFrameGap = 0;
+  let longFrames = 0;
+  let peakHeap = null;
+  let lastMemorySample = 0;
+  let scriptTime = 0;
+  let busyTime = 0;
+
+  while (performance.now() - startTime < warmupMs + durationMs) {
+    if (signal.aborted) throw new Error('Benchmark cancelled');
+
+    const sliceEnd = performance.now() + THROUGHPUT_SLICE_MS;
+    while (performance.now() < sliceEnd) {
+      const renderStart = performance.now();
+      scenario.frame(adapter, context, (renderStart - startTime) / 1000);
+      const scriptEnd = performance.now();
+      adapter.renderSync();
+      const renderTime = performance.now() - renderStart;
+
+      if (renderStart - startTime >= warmupMs) {
+        renderTimes.push(renderTime);
+        scriptTime += scriptEnd - renderStart;
+        busyTime += renderTime;
+        if (renderTime > maxFrameGap) maxFrameGap = renderTime;
+        if (renderTime > LONG_FRAME_MS) longFrames++;
+      }
+    }
+
+    const now = performance.now();
+    if (now - lastMemorySample >= MEMORY_SAMPLE_MS) {
+      const heap = sampleHeap();
+      if (heap !== null && (peakHeap === null || heap > peakHeap)) peakHeap = heap;
+      lastMemorySample = now;
+    }
+
+    // Let input, timers and the libraries' own callbacks run
+    await nextTask();
+  }
+
+  return {
+    ...calculateMetrics(renderTimes),
+    rendersPerSecond: busyTime > 0 ? Math.round(renderTimes.length / busyTime * 1000) : 0,
+    maxFrameGap: Math.round(maxFrameGap),
+    throttleWarnings: 0,
+    longFrames,
+    scriptTimePerFrame: renderTimes.length > 0 ? Math.round(scriptTime / renderTimes.length * 100) / 100 : 0,
+    scriptShare: busyTime > 0 ? Math.round(scriptTime / busyTime * 1000) / 10 : 0,
+    longTasks: null,
+    totalBlockingTime: null,
+    frameWorkTime: null,
+    peakHeap,
+    frameTimes: renderTimes.map(t => Math.round(t * 100) / 100)
+  };
+}
+
+// CSS size of a library's map container
+function getMapSize(lib) {
+  const container = document.getElementById(`map-${lib}`);
+  return { width: container.clientWidth, height: container.clientHeight };
+}
+
+// Switch to a specific tab and fit the canonical bounds to its map; resolves
+// with that view in the 256px-tile convention (see src/map-view.js)
 function switchToTab(lib) {
   const tabs = document.querySelectorAll('.tab');
-  const mapContainers = {
-    leaflet: document.getElementById('map-leaflet'),
-    openlayers: document.getElementById('map-openlayers'),
-    maplibre: document.getElementById('map-maplibre'),
-    deckgl: document.getElementById('map-deckgl')
-  };
 
   // Update tab UI
   tabs.forEach(tab => {
@@ -308,66 +510,102 @@ function switchToTab(lib) {
   });
 
   // Switch map visibility
-  Object.entries(mapContainers).forEach(([key, container]) => {
-    container.classList.toggle('active', key === lib);
+  getLibraryIds().forEach(key => {
+    document.getElementById(`map-${key}`).classList.toggle('active', key === lib);
   });
 
-  // Trigger resize and reset view for the active map
+  // Trigger resize and set the view for the active map
   // Allow 250ms for WebGL context initialization and resize
   return new Promise(resolve => {
     setTimeout(() => {
-      const map = MODULES[lib].getMap();
-      if (lib === 'maplibre' && map) {
-        map.resize();
-        map.jumpTo({ center: VIEW_CENTER, zoom: VIEW_ZOOM_WEBGL });
-      } else if (lib === 'openlayers' && map) {
-        map.updateSize();
-      } else if (lib === 'leaflet' && map) {
-        map.invalidateSize();
-      } else if (lib === 'deckgl' && map) {
-        const container = document.getElementById('map-deckgl');
-        const { clientWidth, clientHeight } = container;
-        map.setProps({
-          width: clientWidth,
-          height: clientHeight,
-          initialViewState: {
-            longitude: VIEW_CENTER[0],
-            latitude: VIEW_CENTER[1],
-            zoom: VIEW_ZOOM_WEBGL,
-            pitch: 0,
-            bearing: 0
-          }
-        });
-        map.redraw(true);
-      }
-      resolve();
+      const adapter = getLibrary(lib);
+      adapter.resize();
+      const view = fitBounds(CANONICAL_BOUNDS, getMapSize(lib));
+      adapter.setView(toNativeView(view, adapter.capabilities));
+      resolve(view);
     }, 250);
   });
 }
 
-// Set point count for a specific library
-function setPointCountForLib(lib, points) {
-  MODULES[lib].setPointsData(points);
+// Why the map does not show the ground `view` should (null when it does), so
+// no library is measured drawing a larger or smaller area than the others
+function checkViewExtent(lib, view) {
+  const error = getExtentError(getLibrary(lib), view, getMapSize(lib));
+  if (error <= EXTENT_TOLERANCE) return null;
+
+  const offset = Number.isFinite(error) ? `off by ${Math.round(error * 1000) / 10}%` : 'not projectable';
+  return `view extent mismatch: corners ${offset} of the map size, ${EXTENT_TOLERANCE * 100}% allowed`;
 }
 
-// Hide non-essential layers during benchmark
-function hideNonEssentialLayers(lib) {
-  MODULES[lib].setLayerVisibility('polygons', false);
-  MODULES[lib].setLayerVisibility('lines', false);
-  MODULES[lib].setLayerVisibility('heatmap', false);
-  MODULES[lib].setLayerVisibility('cluster', false);
+// Set point count for a specific library and time how long it takes to show:
+// setDataTime is the synchronous setPointsData() call, dataLoadTime runs
+// until the adapter reports the first fully rendered frame (null on timeout)
+async function setPointCountForLib(lib, points) {
+  const adapter = getLibrary(lib);
+  const start = performance.now();
+  adapter.setPointsData(points);
+  const setDataTime = performance.now() - start;
+
+  const timeout = new Promise(resolve => setTimeout(resolve, RENDER_TIMEOUT_MS, 'timeout'));
+  const rendered = await Promise.race([adapter.whenRendered(), timeout]);
+  if (rendered === 'timeout') {
+    console.warn(`No rendered frame from ${lib} within ${RENDER_TIMEOUT_MS}ms after setPointsData()`);
+  }
+
+  return {
+    setDataTime: Math.round(setDataTime * 100) / 100,
+    dataLoadTime: rendered === 'timeout' ? null : Math.round((performance.now() - start) * 100) / 100
+  };
+}
+
+// Apply a layer visibility state in LAYER_IDS order, so cluster (last) can
+// hide the regular points after they were switched on
+function applyLayerState(lib, layerState) {
+  const adapter = getLibrary(lib);
+  LAYER_IDS.forEach(layerId => adapter.setLayerVisibility(layerId, layerState[layerId]));
+}
+
+// Show only the layers the scenario measures
+function showScenarioLayers(lib, scenario) {
+  applyLayerState(lib, Object.fromEntries(
+    LAYER_IDS.map(layerId => [layerId, scenario.layers.includes(layerId)])
+  ));
 }
 
-// Restore layers after benchmark
-function restoreLayers(lib) {
-  MODULES[lib].setLayerVisibility('polygons', true);
-  MODULES[lib].setLayerVisibility('lines', true);
+// Bootstrap confidence intervals for every library / count, and pairwise
+// significance between libraries at each count (see src/statistics.js).
+// Yields between bootstraps so the page stays responsive.
+async function calculateSignificance(results, random) {
+  const replicates = {};
+
+  for (const lib of Object.keys(results)) {
+    replicates[lib] = {};
+    for (const count of Object.keys(results[lib])) {
+      const { iterations, combined } = results[lib][count];
+      if (!combined) continue;
+
+      await nextTask();
+      replicates[lib][count] = bootstrapMedianFps(iterations.map(i => i.frameTimes), random);
+      combined.fpsCi = replicates[lib][count] && confidenceInterval(replicates[lib][count]);
+      combined.comparisons = {};
+    }
+  }
+
+  for (const lib of Object.keys(results)) {
+    for (const count of Object.keys(replicates[lib])) {
+      for (const other of Object.keys(results)) {
+        if (other === lib || !replicates[lib][count] || !replicates[other]?.[count]) continue;
+        results[lib][count].combined.comparisons[other] =
+          compareReplicates(replicates[lib][count], replicates[other][count]);
+      }
+    }
+  }
 }
 
-// Calculate combined statistics from all iterations
+// Calculate combined statistics from all iterations of one scenario
 function calculateCombinedStats(results) {
-  for (const lib of LIBRARIES) {
-    for (const count of POINT_COUNTS) {
+  for (const lib of Object.keys(results)) {
+    for (const count of Object.keys(results[lib])) {
       const iterations = results[lib][count].iterations;
 
       if (iterations.length === 0) continue;
@@ -379,6 +617,19 @@ function calculateCombinedStats(results) {
       const allJitter = iterations.map(i => i.jitter);
       const allMinFps = iterations.map(i => i.minFps);
       const allMaxFps = iterations.map(i => i.maxFps);
+      const sortedP50 = iterations.map(i => i.p50FrameTime).sort((a, b) => a - b);
+      const sortedP95 = iterations.map(i => i.p95FrameTime).sort((a, b) => a - b);
+      const sortedP99 = iterations.map(i => i.p99FrameTime).sort((a, b) => a - b);
+      // Median of an optional per-iteration value (null when no iteration has it)
+      const medianOf = key => {
+        const values = iterations.map(i => i[key]).filter(value => value !== null && value !== undefined);
+        return values.length > 0 ? values.sort((a, b) => a - b)[Math.floor(values.length / 2)] : null;
+      };
+      // Total of an optional per-iteration count (null when no iteration has it)
+      const sumOf = key => {
+        const values = iterations.map(i => i[key]).filter(value => value !== null && value !== undefined);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) : null;
+      };
 
       // Sort for median calculation
       const sortedFps = [...allMedianFps].sort((a, b) => a - b);
@@ -410,6 +661,41 @@ function calculateCombinedStats(results) {
         // Jitter (median)
         jitter: sortedJitter[medianIndex],
 
+        // Frame time percentiles (median across iterations) and stutter count
+        p50FrameTime: sortedP50[medianIndex],
+        p95FrameTime: sortedP95[medianIndex],
+        p99FrameTime: sortedP99[medianIndex],
+        totalLongFrames: iterations.reduce((sum, i) => sum + (i.longFrames || 0), 0),
+
+        // Throughput mode only: renders per second of busy time (median across iterations)
+        rendersPerSecond: medianOf('rendersPerSecond'),
+
+        // Main-thread attribution (median across iterations): time in the scenario's
+        // adapter calls per frame and as % of frame time, blocking time from long tasks
+        scriptTimePerFrame: medianOf('scriptTimePerFrame'),
+        scriptShare: medianOf('scriptShare'),
+        totalBlockingTime: medianOf('totalBlockingTime'),
+        totalLongTasks: sumOf('longTasks'),
+
+        // Median busy time per frame and the share of the frame budget left (median across iterations)
+        frameWorkTime: medianOf('frameWorkTime'),
+        headroom: medianOf('headroom'),
+
+        // Data load latency in ms (median across iterations)
+        setDataTime: medianOf('setDataTime'),
+        dataLoadTime: medianOf('dataLoadTime'),
+
+        // JS heap in MB (median across iterations, null if not measurable)
+        memoryBefore: medianOf('memoryBefore'),
+        memoryAfterLoad: medianOf('memoryAfterLoad'),
+        memoryPeak: medianOf('memoryPeak'),
+
+        // Input-to-render latency in ms (median across iterations, null outside the input latency scenario)
+        inputLatencyMedian: medianOf('inputLatencyMedian'),
+        inputLatencyP95: medianOf('inputLatencyP95'),
+        inputSamples: sumOf('inputSamples'),
+        inputMisses: sumOf('inputMisses'),
+
         // IQR for FPS (measure of consistency)
         fpsIqr,
 
@@ -424,27 +710,46 @@ function calculateCombinedStats(results) {
 }
 
 // Main benchmark runner
-export async function runBenchmark(onProgress) {
+// config: overrides for getDefaultConfig() (scenario ids are from src/scenarios.js)
+// layerState: layer visibility to restore on each map afterwards
+export async function runBenchmark(onProgress, config = {}, layerState = DEFAULT_LAYER_STATE) {
+  if (config.mode !== undefined && !MEASUREMENT_MODES.includes(config.mode)) {
+    throw new Error(`Unknown measurement mode "${config.mode}" (expected ${MEASUREMENT_MODES.join(' or ')})`);
+  }
+  const unknownViewports = (config.viewportIds ?? []).filter(id => !getViewportPreset(id));
+  if (unknownViewports.length > 0) {
+    throw new Error(`Unknown viewport presets: ${unknownViewports.join(', ')}`);
+  }
+
   benchmarkState = 'running';
   abortController = new AbortController();
-  benchmarkResults = createEmptyResults();
+  benchmarkConfig = { ...getDefaultConfig(), ...config };
+  benchmarkResults = createEmptyResults(benchmarkConfig);
+  benchmarkEnvironment = await getEnvironment();
+  startedAt = new Date().toISOString();
+  completedAt = null;
+
+  const { pointCounts, iterations, warmupMs, durationMs, seed, mode } = benchmarkConfig;
+  const measureScenario = mode === 'throughput' ? runThroughputScenario : runMeasuredScenario;
+  // Frame budget in ms at the display's refresh rate, for the headroom
+  const frameBudget = 1000 / (benchmarkEnvironment.refreshRate ?? DEFAULT_REFRESH_RATE);
 
   // Pre-generate seeded point data for each count (reproducible)
   const pointDataCache = {};
-  for (const count of POINT_COUNTS) {
-    pointDataCache[count] = getPoints(count, BENCHMARK_SEED);
+  for (const count of pointCounts) {
+    pointDataCache[count] = getPoints(count, seed);
   }
 
-  const totalTests = LIBRARIES.length * POINT_COUNTS.length * ITERATIONS;
+  const totalTests = countTests(benchmarkConfig) * iterations;
   let currentTest = 0;
 
   try {
     // Run multiple iterations
-    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    for (let iteration = 0; iteration < iterations; iteration++) {
       // Randomize test order each iteration
-      const testOrder = generateTestOrder();
+      const testOrder = generateTestOrder(benchmarkConfig);
 
-      for (const { lib, count } of testOrder) {
+      for (const { key, scenario, viewport, lib, count } of testOrder) {
         if (abortController.signal.aborted) {
           throw new Error('Benchmark cancelled');
         }
@@ -453,66 +758,134 @@ export async function runBenchmark(onProgress) {
 
         // Update progress
         onProgress({
-          library: LIBRARY_NAMES[lib],
+          scenario: viewport ? `${scenario.name} (${formatViewport(viewport)})` : scenario.name,
+          library: getLibraryInfo(lib).name,
           pointCount: count,
+          countUnit: scenario.countUnit,
           iteration: iteration + 1,
-          totalIterations: ITERATIONS,
+          totalIterations: iterations,
           testNumber: currentTest,
           totalTests,
           progress: (currentTest / totalTests) * 100
         });
 
-        // Switch to this library's tab
-        await switchToTab(lib);
-
-        // Hide non-essential layers for focused testing
-        hideNonEssentialLayers(lib);
-
-        // Use cached seeded points (same data every time)
-        const basePoints = pointDataCache[count];
-        setPointCountForLib(lib, basePoints);
+        // Size the container and pixel ratio for the preset (resized in switchToTab)
+        if (viewport) {
+          applyViewport(document.getElementById('map-container'), viewport);
+          getLibrary(lib).setPixelRatio(viewport.pixelRatio);
+        }
 
-        // Allow time for rendering to stabilize (500ms for large buffer uploads on WebGL)
-        await delay(500);
+        // Switch to this library's tab
+        const view = await switchToTab(lib);
+
+        // Show only the layers this scenario measures; always restore them
+        let metrics;
+        try {
+          showScenarioLayers(lib, scenario);
+
+          const memoryBefore = await measureMemory();
+
+          // Use cached seeded points (same data every time)
+          const basePoints = pointDataCache[count];
+          const loadTimes = await setPointCountForLib(lib, basePoints);
+
+          // A map showing different ground is not comparable: record the
+          // failure for this library / count and go on with the next test
+          const viewMismatch = checkViewExtent(lib, view);
+          if (viewMismatch) {
+            console.warn(`${key}/${lib}@${count}: ${viewMismatch}`);
+            benchmarkResults[key][lib][count].failures.push(viewMismatch);
+            continue;
+          }
 
-        // Run measured animation with warmup
-        const metrics = await runMeasuredAnimation(lib, basePoints, {
-          warmupMs: WARMUP_MS,
-          durationMs: TEST_DURATION_MS,
-          signal: abortController.signal
-        });
+          const context = {
+            lib,
+            container: document.getElementById(`map-${lib}`),
+            points: basePoints,
+            count,
+            seed,
+            warmupMs,
+            view: toNativeView(view, getLibrary(lib).capabilities),
+            state: {}
+          };
+          await scenario.setup(getLibrary(lib), context);
+
+          // Allow time for rendering to stabilize (500ms for large buffer uploads on WebGL)
+          await delay(500);
+          const memoryAfterLoad = await measureMemory();
+
+          // Run measured scenario with warmup; always undo the scenario's changes
+          try {
+            const { peakHeap, ...frameMetrics } = await measureScenario(scenario, context, {
+              warmupMs,
+              durationMs,
+              signal: abortController.signal
+            });
+            const inputLatency = scenario.inputLatency?.(context);
+            const { frameWorkTime } = frameMetrics;
+            const memoryEnd = await measureMemory();
+            const memorySamples = [memoryAfterLoad, peakHeap, memoryEnd].filter(value => value !== null);
+
+            // Memory in MB, null where the browser cannot measure it
+            metrics = {
+              ...frameMetrics,
+              ...loadTimes,
+              memoryBefore,
+              memoryAfterLoad,
+              memoryPeak: memorySamples.length > 0 ? Math.max(...memorySamples) : null,
+              headroom: frameWorkTime !== null ? Math.round((frameBudget - frameWorkTime) / frameBudget * 100) : null,
+              ...(inputLatency && calculateInputMetrics(inputLatency))
+            };
+          } finally {
+            scenario.teardown(getLibrary(lib), context);
+          }
+        } finally {
+          applyLayerState(lib, layerState);
+        }
 
         // Check for tab throttling
         if (metrics.throttleWarnings > 0) {
-          console.warn(`Tab throttling detected for ${lib}@${count}: ${metrics.throttleWarnings} events, max gap ${metrics.maxFrameGap}ms`);
+          console.warn(`Tab throttling detected for ${key}/${lib}@${count}: ${metrics.throttleWarnings} events, max gap ${metrics.maxFrameGap}ms`);
         }
 
         // Store iteration result
-        benchmarkResults[lib][count].iterations.push(metrics);
-
-        // Restore layers
-        restoreLayers(lib);
-
-        // Reset points to static position
-        MODULES[lib].updatePointPositions(basePoints);
+        benchmarkResults[key][lib][count].iterations.push(metrics);
 
         // Brief pause between tests
         await delay(200);
       }
     }
 
-    // Calculate combined stats for each lib/count
-    calculateCombinedStats(benchmarkResults);
+    // Calculate combined stats for each scenario/lib/count, then the
+    // confidence intervals (seeded, so a report always gets the same ones)
+    const random = mulberry32(seed);
+    for (const results of Object.values(benchmarkResults)) {
+      calculateCombinedStats(results);
+      await calculateSignificance(results, random);
+    }
 
+    completedAt = new Date().toISOString();
     benchmarkState = 'complete';
     return benchmarkResults;
 
   } catch (error) {
     benchmarkState = error.message === 'Benchmark cancelled' ? 'cancelled' : 'error';
     throw error;
+  } finally {
+    if (benchmarkConfig.viewportIds.length > 0) restoreViewport();
   }
 }
 
+// Undo the viewport presets: layout size and device pixel ratio for every map
+function restoreViewport() {
+  applyViewport(document.getElementById('map-container'), null);
+  getLibraryIds().forEach(lib => {
+    const adapter = getLibrary(lib);
+    adapter.setPixelRatio(null);
+    adapter.resize();
+  });
+}
+
 // Cancel running benchmark
 export function cancelBenchmark() {
   if (abortController) {
@@ -525,6 +898,34 @@ export function getBenchmarkResults() {
   return benchmarkResults;
 }
 
+// Configuration of the last run
+export function getBenchmarkConfig() {
+  return benchmarkConfig;
+}
+
+// Everything needed to archive or re-open a completed run
+// (results[resultKey][lib][count] as returned by runBenchmark, see getResultKey)
+export function getBenchmarkReport() {
+  if (benchmarkState !== 'complete') return null;
+
+  return {
+    version: REPORT_VERSION,
+    startedAt,
+    completedAt,
+    config: benchmarkConfig,
+    environment: benchmarkEnvironment,
+    libraries: Object.fromEntries(benchmarkConfig.libraries.map(lib => {
+      const { name, color, renderer } = getLibraryInfo(lib);
+      return [lib, { name, color, renderer }];
+    })),
+    // Presets the result keys refer to (empty without viewport presets)
+    viewports: Object.fromEntries(benchmarkConfig.viewportIds.map(id => [id, getViewportPreset(id)])),
+    // Libraries that were not measured for a result key and why
+    skipped: getSkippedLibraries(benchmarkConfig),
+    results: benchmarkResults
+  };
+}
+
 // Get state
 export function getBenchmarkState() {
   return benchmarkState;
@@ -535,5 +936,9 @@ export function resetBenchmark() {
   benchmarkState = 'idle';
   abortController = null;
   benchmarkResults = {};
-  animationBuffers.clear(); // Free animation buffer memory
+  benchmarkConfig = null;
+  benchmarkEnvironment = null;
+  startedAt = null;
+  completedAt = null;
+  clearScenarioBuffers(); // Free animation buffer memory
 }
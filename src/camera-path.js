@@ -0,0 +1,50 @@
+// camera-path.js - Deterministic camera path for the flythrough benchmark
+//
+// The path is written once as keyframes in lng/lat, zoom and bearing, with
+// zoom in the 256px-tile convention (Leaflet / OpenLayers). Each library
+// replays it through its own setView(): toNativeView() (src/map-view.js)
+// converts the zoom to the library's tile size and drops the bearing where
+// rotation is not supported. Leaflet snaps fractional zooms to whole levels
+// (zoomSnap 1), which is how it behaves for real users too.
+
+// Keyframes: time in seconds, camera at that time
+const KEYFRAMES = [
+  { time: 0, center: [-74.0060, 40.7128], zoom: 11, bearing: 0 },    // NYC overview
+  { time: 2, center: [-73.9000, 40.7500], zoom: 11, bearing: 0 },    // Pan east
+  { time: 4, center: [-73.9800, 40.7500], zoom: 14, bearing: 30 },   // Zoom into Midtown
+  { time: 6, center: [-73.9500, 40.7800], zoom: 14, bearing: 60 },   // Pan north at street level
+  { time: 8, center: [-74.0000, 40.7000], zoom: 9, bearing: 0 },     // Zoom out past the data
+  { time: 10, center: [-74.2000, 40.6500], zoom: 10, bearing: -30 }, // Pan west
+  { time: 12, center: [-74.0060, 40.7128], zoom: 11, bearing: 0 }    // Back to the start
+];
+
+// Length of one loop; longer runs repeat the path
+export const PATH_DURATION = KEYFRAMES[KEYFRAMES.length - 1].time;
+
+// Ease in/out between keyframes so the camera never jumps in speed
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Camera at `elapsed` seconds: { center: [lng, lat], zoom (256px tiles), bearing }
+export function getCameraAt(elapsed) {
+  const time = elapsed % PATH_DURATION;
+  let index = 0;
+  while (index < KEYFRAMES.length - 2 && time >= KEYFRAMES[index + 1].time) {
+    index++;
+  }
+
+  const from = KEYFRAMES[index];
+  const to = KEYFRAMES[index + 1];
+  const t = smoothstep((time - from.time) / (to.time - from.time));
+
+  return {
+    center: [lerp(from.center[0], to.center[0], t), lerp(from.center[1], to.center[1], t)],
+    zoom: lerp(from.zoom, to.zoom, t),
+    bearing: lerp(from.bearing, to.bearing, t)
+  };
+}
@@ -0,0 +1,134 @@
+// conformance.js - Runs every map adapter through the same contract checks
+//
+// Open the app with ?conformance to run the suite after the maps initialise,
+// or run it headlessly with `npm run conformance` (scripts/conformance.js).
+// Each check receives an initialised adapter and throws on failure; the
+// adapter's view, data and layer visibility are restored afterwards.
+
+import { validateAdapter, LAYER_IDS } from './adapter.js';
+import { getPoints } from './data/fake-data.js';
+
+const VIEW_TOLERANCE = 1e-4;   // Degrees / zoom levels allowed after a round trip
+const CHECK_SEED = 7;          // Fixed seed so every adapter gets identical data
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertClose(actual, expected, label) {
+  assert(
+    Math.abs(actual - expected) <= VIEW_TOLERANCE,
+    `${label}: expected ${expected}, got ${actual}`
+  );
+}
+
+const checks = [
+  {
+    name: 'implements the contract',
+    run: (adapter) => {
+      const errors = validateAdapter(adapter);
+      assert(errors.length === 0, errors.join('; '));
+    }
+  },
+  {
+    name: 'getMap() returns the native map',
+    run: (adapter) => {
+      assert(adapter.getMap(), 'getMap() returned nothing after initMap()');
+    }
+  },
+  {
+    name: 'resize() is safe to call',
+    run: (adapter) => {
+      adapter.resize();
+    }
+  },
+  {
+    name: 'renderSync() is safe to call',
+    run: (adapter) => {
+      adapter.renderSync();
+    }
+  },
+  {
+    name: 'setView() / getView() round trip',
+    run: (adapter) => {
+      const { center, zoom } = adapter.defaultView;
+      const target = { center: [center[0] + 0.01, center[1] - 0.01], zoom: zoom + 1, bearing: 0 };
+
+      adapter.setView(target);
+      const view = adapter.getView();
+
+      assertClose(view.center[0], target.center[0], 'longitude');
+      assertClose(view.center[1], target.center[1], 'latitude');
+      assertClose(view.zoom, target.zoom, 'zoom');
+    }
+  },
+  {
+    name: 'setView() honours bearing when rotation is supported',
+    run: (adapter) => {
+      if (!adapter.capabilities.rotation) return;
+
+      adapter.setView({ ...adapter.defaultView, bearing: 45 });
+      assertClose(adapter.getView().bearing, 45, 'bearing');
+    }
+  },
+  {
+    name: 'setLayerVisibility() accepts every layer id',
+    run: (adapter) => {
+      LAYER_IDS.forEach(layerId => {
+        adapter.setLayerVisibility(layerId, true);
+        adapter.setLayerVisibility(layerId, false);
+      });
+      adapter.setLayerVisibility('unknown-layer', true);
+    }
+  },
+  {
+    name: 'setPointsData() replaces the points',
+    run: (adapter, { points }) => {
+      const otherFeatures = adapter.getFeatureCount() - points.features.length;
+      const replacement = getPoints(250, CHECK_SEED);
+
+      adapter.setPointsData(replacement);
+      assert(
+        adapter.getFeatureCount() === otherFeatures + 250,
+        `expected ${otherFeatures + 250} features, got ${adapter.getFeatureCount()}`
+      );
+
+      adapter.updatePointPositions(replacement);
+    }
+  }
+];
+
+// Snapshot everything the checks may change so it can be put back
+function captureState(adapter, layerState, points) {
+  return { view: adapter.getView(), layerState: { ...layerState }, points };
+}
+
+function restoreState(adapter, { view, layerState, points }) {
+  adapter.setPointsData(points);
+  LAYER_IDS.forEach(layerId => adapter.setLayerVisibility(layerId, layerState[layerId]));
+  adapter.setView(view);
+}
+
+// Run all checks against each adapter
+// adapters: { [lib]: adapter }, layerState/points: current app state to restore
+export async function runConformance(adapters, { layerState, points }) {
+  const results = [];
+
+  for (const [lib, adapter] of Object.entries(adapters)) {
+    await adapter.whenReady();
+    const saved = captureState(adapter, layerState, points);
+
+    for (const check of checks) {
+      try {
+        await check.run(adapter, { points });
+        results.push({ lib, check: check.name, passed: true, error: '' });
+      } catch (error) {
+        results.push({ lib, check: check.name, passed: false, error: error.message });
+      }
+    }
+
+    restoreState(adapter, saved);
+  }
+
+  return results;
+}
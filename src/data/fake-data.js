@@ -3,9 +3,10 @@
 
 const NYC_CENTER = { lat: 40.7128, lng: -74.0060 };
 const SPREAD = 0.12; // ~12km spread - tighter to fit viewport better
+const POLYGON_SEED = 2024;
 
 // Mulberry32 seeded PRNG - fast, good distribution
-function mulberry32(seed) {
+export function mulberry32(seed) {
   return function() {
     let t = seed += 0x6D2B79F5;
     t = Math.imul(t ^ t >>> 15, t | 1);
@@ -30,9 +31,9 @@ function randomInRange(min, max) {
   return Math.random() * (max - min) + min;
 }
 
-function randomColor() {
+function randomColor(random = Math.random) {
   const colors = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c'];
-  return colors[Math.floor(Math.random() * colors.length)];
+  return colors[Math.floor(random() * colors.length)];
 }
 
 // Generate random points (for clustering and heatmap)
@@ -69,21 +70,23 @@ export function getPoints(count = 1000, seed = null) {
 }
 
 // Generate random polygons (areas/zones)
-export function getPolygons(count = 20) {
+// Optional seed parameter for reproducible data
+export function getPolygons(count = 20, seed = null) {
+  const { random, randomInRange: rndRange } = createRandomFunctions(seed);
   const features = [];
 
   for (let i = 0; i < count; i++) {
-    const centerLng = NYC_CENTER.lng + randomInRange(-SPREAD * 0.8, SPREAD * 0.8);
-    const centerLat = NYC_CENTER.lat + randomInRange(-SPREAD * 0.8, SPREAD * 0.8);
-    const size = randomInRange(0.005, 0.02);
+    const centerLng = NYC_CENTER.lng + rndRange(-SPREAD * 0.8, SPREAD * 0.8);
+    const centerLat = NYC_CENTER.lat + rndRange(-SPREAD * 0.8, SPREAD * 0.8);
+    const size = rndRange(0.005, 0.02);
 
     // Create a random polygon (4-6 sided)
-    const sides = Math.floor(randomInRange(4, 7));
+    const sides = Math.floor(rndRange(4, 7));
     const coordinates = [];
 
     for (let j = 0; j < sides; j++) {
       const angle = (j / sides) * Math.PI * 2;
-      const jitter = randomInRange(0.7, 1.3);
+      const jitter = rndRange(0.7, 1.3);
       coordinates.push([
         centerLng + Math.cos(angle) * size * jitter,
         centerLat + Math.sin(angle) * size * jitter * 0.7 // Account for lat/lng ratio
@@ -97,9 +100,9 @@ export function getPolygons(count = 20) {
       properties: {
         id: i,
         name: `Zone ${i}`,
-        color: randomColor(),
-        population: Math.floor(randomInRange(1000, 50000)),
-        type: ['residential', 'commercial', 'industrial', 'park'][Math.floor(Math.random() * 4)]
+        color: randomColor(random),
+        population: Math.floor(rndRange(1000, 50000)),
+        type: ['residential', 'commercial', 'industrial', 'park'][Math.floor(random() * 4)]
       },
       geometry: {
         type: 'Polygon',
@@ -115,15 +118,18 @@ export function getPolygons(count = 20) {
 }
 
 // Generate random polylines (routes/paths)
-export function getLines(count = 10) {
+// Optional seed parameter for reproducible benchmark data
+export function getLines(count = 10, seed = null) {
+  const { randomInRange: rndRange, randomChoice } = createRandomFunctions(seed);
+  const colors = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c'];
   const features = [];
 
   for (let i = 0; i < count; i++) {
-    const startLng = NYC_CENTER.lng + randomInRange(-SPREAD, SPREAD);
-    const startLat = NYC_CENTER.lat + randomInRange(-SPREAD, SPREAD);
+    const startLng = NYC_CENTER.lng + rndRange(-SPREAD, SPREAD);
+    const startLat = NYC_CENTER.lat + rndRange(-SPREAD, SPREAD);
 
     // Create a path with 5-15 points
-    const pointCount = Math.floor(randomInRange(5, 15));
+    const pointCount = Math.floor(rndRange(5, 15));
     const coordinates = [[startLng, startLat]];
 
     let currentLng = startLng;
@@ -131,8 +137,8 @@ export function getLines(count = 10) {
 
     for (let j = 1; j < pointCount; j++) {
       // Move in a somewhat consistent direction with some randomness
-      currentLng += randomInRange(-0.02, 0.02);
-      currentLat += randomInRange(-0.015, 0.015);
+      currentLng += rndRange(-0.02, 0.02);
+      currentLat += rndRange(-0.015, 0.015);
       coordinates.push([currentLng, currentLat]);
     }
 
@@ -141,9 +147,9 @@ export function getLines(count = 10) {
       properties: {
         id: i,
         name: `Route ${i}`,
-        color: randomColor(),
-        distance: Math.floor(randomInRange(1, 20)), // km
-        type: ['highway', 'street', 'bike_path', 'walking'][Math.floor(Math.random() * 4)]
+        color: randomChoice(colors),
+        distance: Math.floor(rndRange(1, 20)), // km
+        type: randomChoice(['highway', 'street', 'bike_path', 'walking'])
       },
       geometry: {
         type: 'LineString',
@@ -158,11 +164,17 @@ export function getLines(count = 10) {
   };
 }
 
+// Polygons every map shows; seeded so all libraries draw the same zones and
+// the input latency scenario knows where they are
+export function getDefaultPolygons() {
+  return getPolygons(50, POLYGON_SEED);
+}
+
 // Get all data at once
 export function getAllData() {
   return {
     points: getPoints(1000),
-    polygons: getPolygons(50),
+    polygons: getDefaultPolygons(),
     lines: getLines(30)
   };
 }
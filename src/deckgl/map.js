@@ -1,15 +1,45 @@
 import { Deck } from '@deck.gl/core';
-import { GeoJsonLayer, ScatterplotLayer, PathLayer } from '@deck.gl/layers';
+import { GeoJsonLayer, ScatterplotLayer, PathLayer, TextLayer } from '@deck.gl/layers';
 import { TileLayer } from '@deck.gl/geo-layers';
 import { HeatmapLayer } from '@deck.gl/aggregation-layers';
 import { BitmapLayer } from '@deck.gl/layers';
+import Supercluster from 'supercluster';
 import { getAllData } from '../data/fake-data.js';
+import { createInteractionEmitter, finishWebGL } from '../adapter.js';
+import { DEFAULT_VIEW, toNativeView } from '../map-view.js';
+
+// Adapter contract (see src/adapter.js)
+export const library = {
+  id: 'deckgl',
+  name: 'Deck.gl',
+  color: '#f39c12',
+  renderer: 'webgl'
+};
+
+export const capabilities = {
+  heatmap: true,
+  cluster: true,
+  rotation: true,
+  syncRender: true,
+  pixelRatio: true,
+  tileSize: 512
+};
 
-// Shared view configuration (matching Leaflet's discrete zoom)
-const VIEW_CENTER = [-74.0060, 40.7128]; // [lng, lat]
-const VIEW_ZOOM = 10; // WebGL libraries render 1 level deeper than Canvas at same zoom
+export const defaultView = toNativeView(DEFAULT_VIEW, capabilities);
 
 let deck = null;
+let mapContainer = null;
+
+// whenRendered() callers waiting for a frame with every layer loaded
+let renderWaiters = [];
+
+// Hover highlights picked since the last frame; reported once drawn
+const interactions = createInteractionEmitter();
+let hoverPending = false;
+
+// View state passed to Deck as the controlled `viewState` prop; the
+// controller reports every change through onViewStateChange
+let currentViewState = null;
 const data = getAllData();
 
 // Layer visibility state
@@ -24,6 +54,14 @@ const layerVisibility = {
 // Current point data (for animation)
 let currentPointData = data.points;
 
+// Supercluster index over currentPointData, same settings as MapLibre's
+// clustered source (Deck zoom is based on 512px tiles like MapLibre's)
+const clusterIndex = new Supercluster({ radius: 50, maxZoom: 14 });
+let clusterIndexStale = true;
+let clusterZoom = null;   // Integer zoom the current clusters were computed for
+let clusters = [];
+let clusterLabels = [];   // The clusters (not single points) among them
+
 // Code snippets for display
 export const codeSnippets = {
   points: `// Deck.gl - Points Layer (ScatterplotLayer)
@@ -90,21 +128,55 @@ const heatmapLayer = new HeatmapLayer({
   ]
 });`,
 
-  cluster: `// Deck.gl - Clustering (placeholder)
-// Deck.gl doesn't have built-in clustering like MapLibre.
-// Options: use Supercluster library with IconLayer,
-// or use H3HexagonLayer for spatial aggregation.
-
+  cluster: `// Deck.gl - Clustering (Supercluster)
+// Deck.gl has no built-in clustering like MapLibre, so clusters
+// are recomputed with Supercluster whenever the integer zoom changes
 import Supercluster from 'supercluster';
+import { ScatterplotLayer, TextLayer } from '@deck.gl/layers';
 
-const index = new Supercluster({
-  radius: 50,
-  maxZoom: 14
-});
+const index = new Supercluster({ radius: 50, maxZoom: 14 });
 index.load(pointsGeoJSON.features);
 
-const clusters = index.getClusters(bbox, zoom);
-// Then render with ScatterplotLayer + TextLayer`
+const clusters = index.getClusters([-180, -85, 180, 85], Math.floor(zoom));
+
+// Same steps as MapLibre's 'clusters' layer
+const step = (count, values) =>
+  count < 100 ? values[0] : count < 500 ? values[1] : values[2];
+
+const clusterLayer = new ScatterplotLayer({
+  id: 'clusters',
+  data: clusters,
+  getPosition: d => d.geometry.coordinates,
+  getRadius: d => d.properties.cluster
+    ? step(d.properties.point_count, [20, 30, 40])
+    : 6,
+  radiusUnits: 'pixels',
+  getFillColor: d => d.properties.cluster
+    ? step(d.properties.point_count, [[46, 204, 113], [241, 196, 15], [233, 69, 96]])
+    : [233, 69, 96],
+  getLineColor: [255, 255, 255],
+  getLineWidth: 2,
+  lineWidthUnits: 'pixels',
+  stroked: true,
+  pickable: true,
+  // Click to zoom in until the cluster splits
+  onClick: ({ object }) => {
+    if (!object.properties.cluster) return;
+    const [longitude, latitude] = object.geometry.coordinates;
+    const zoom = index.getClusterExpansionZoom(object.properties.cluster_id);
+    deck.setProps({ initialViewState: { longitude, latitude, zoom } });
+  }
+});
+
+const countLayer = new TextLayer({
+  id: 'cluster-count',
+  data: clusters.filter(d => d.properties.cluster),
+  getPosition: d => d.geometry.coordinates,
+  getText: d => String(d.properties.point_count_abbreviated),
+  getSize: 14,
+  getColor: [255, 255, 255],
+  fontWeight: 'bold'
+});`
 };
 
 // Convert hex color to RGB array
@@ -115,6 +187,36 @@ function hexToRgb(hex, alpha = 255) {
     : [128, 128, 128, alpha];
 }
 
+// Pick a value by cluster size, same steps as MapLibre's 'clusters' layer
+function clusterStep(count, values) {
+  if (count < 100) return values[0];
+  if (count < 500) return values[1];
+  return values[2];
+}
+
+// Recompute clusters if the data changed or the integer zoom did
+function updateClusters() {
+  const zoom = Math.floor(currentViewState.zoom);
+  if (!clusterIndexStale && zoom === clusterZoom) return;
+
+  if (clusterIndexStale) {
+    clusterIndex.load(currentPointData.features);
+    clusterIndexStale = false;
+  }
+  clusterZoom = zoom;
+  clusters = clusterIndex.getClusters([-180, -85, 180, 85], zoom);
+  clusterLabels = clusters.filter(d => d.properties.cluster);
+}
+
+// Zoom to where a cluster breaks apart
+function expandCluster(cluster) {
+  const [longitude, latitude] = cluster.geometry.coordinates;
+  const zoom = Math.min(clusterIndex.getClusterExpansionZoom(cluster.properties.cluster_id), 19);
+
+  applyViewState({ ...currentViewState, longitude, latitude, zoom });
+  updateLayers();
+}
+
 function createLayers() {
   const layers = [];
 
@@ -152,9 +254,13 @@ function createLayers() {
         pickable: true,
         autoHighlight: true,
         highlightColor: [255, 255, 255, 80],
+        // Picking runs before the redraw that shows the highlight
+        onHover: ({ object }) => {
+          if (object) hoverPending = true;
+        },
         onClick: ({ object }) => {
           if (object) {
-            showPopup(object.properties.name, `
+            showPopup('polygons', object.properties.name, `
               Type: ${object.properties.type}<br>
               Population: ${object.properties.population.toLocaleString()}
             `);
@@ -177,7 +283,7 @@ function createLayers() {
         pickable: true,
         onClick: ({ object }) => {
           if (object) {
-            showPopup(object.properties.name, `
+            showPopup('lines', object.properties.name, `
               Type: ${object.properties.type}<br>
               Distance: ${object.properties.distance} km
             `);
@@ -209,23 +315,49 @@ function createLayers() {
     );
   }
 
-  // Points layer (or placeholder cluster layer)
+  // Points layer (or cluster layer)
   if (layerVisibility.cluster) {
-    // Simplified clustering visualization using larger circles grouped by position
-    // For real clustering, use Supercluster library
+    updateClusters();
+
     layers.push(
       new ScatterplotLayer({
-        id: 'cluster-placeholder',
-        data: currentPointData.features,
+        id: 'clusters',
+        data: clusters,
         getPosition: d => d.geometry.coordinates,
-        getRadius: 15,
+        getRadius: d => d.properties.cluster
+          ? clusterStep(d.properties.point_count, [20, 30, 40])
+          : 6,
         radiusUnits: 'pixels',
-        getFillColor: [46, 204, 113, 180],
+        getFillColor: d => d.properties.cluster
+          ? clusterStep(d.properties.point_count, [[46, 204, 113], [241, 196, 15], [233, 69, 96]])
+          : [233, 69, 96],
         getLineColor: [255, 255, 255],
         getLineWidth: 2,
         lineWidthUnits: 'pixels',
         stroked: true,
-        pickable: true
+        pickable: true,
+        onClick: ({ object }) => {
+          if (!object) return;
+          if (object.properties.cluster) {
+            expandCluster(object);
+          } else {
+            showPopup('cluster', object.properties.name, `
+              Category: ${object.properties.category}<br>
+              Magnitude: ${object.properties.magnitude.toFixed(1)}
+            `);
+          }
+        }
+      }),
+      new TextLayer({
+        id: 'cluster-count',
+        data: clusterLabels,
+        getPosition: d => d.geometry.coordinates,
+        getText: d => String(d.properties.point_count_abbreviated),
+        getSize: 14,
+        getColor: [255, 255, 255],
+        fontWeight: 'bold',
+        getTextAnchor: 'middle',
+        getAlignmentBaseline: 'center'
       })
     );
   } else if (layerVisibility.points) {
@@ -246,7 +378,7 @@ function createLayers() {
         pickable: true,
         onClick: ({ object }) => {
           if (object) {
-            showPopup(object.properties.name, `
+            showPopup('points', object.properties.name, `
               Category: ${object.properties.category}<br>
               Magnitude: ${object.properties.magnitude.toFixed(1)}
             `);
@@ -262,7 +394,7 @@ function createLayers() {
 // Simple popup implementation
 let popupElement = null;
 
-function showPopup(title, content) {
+function showPopup(layerId, title, content) {
   if (!popupElement) {
     popupElement = document.createElement('div');
     popupElement.className = 'deckgl-popup';
@@ -283,7 +415,7 @@ function showPopup(title, content) {
       font-size: 13px;
       display: none;
     `;
-    document.getElementById('map-deckgl').appendChild(popupElement);
+    mapContainer.appendChild(popupElement);
 
     popupElement.querySelector('.popup-close').addEventListener('click', () => {
       popupElement.style.display = 'none';
@@ -302,6 +434,9 @@ function showPopup(title, content) {
 
   popupElement.querySelector('.popup-content').innerHTML = `<strong>${title}</strong><br>${content}`;
   popupElement.style.display = 'block';
+
+  // The popup is DOM: it is on screen once the next frame starts
+  requestAnimationFrame(() => interactions.emit('popup', layerId));
 }
 
 function updateLayers() {
@@ -310,24 +445,53 @@ function updateLayers() {
   }
 }
 
-export function initMap() {
-  const container = document.getElementById('map-deckgl');
+// Convert an adapter view into a Deck.gl view state
+function toViewState({ center, zoom, bearing = 0 }) {
+  return {
+    longitude: center[0],
+    latitude: center[1],
+    zoom,
+    pitch: 0,
+    bearing
+  };
+}
+
+// Controlled view state: Deck only moves when it is set here
+function applyViewState(viewState) {
+  currentViewState = viewState;
+  deck.setProps({ viewState });
+}
+
+export function initMap(container) {
+  mapContainer = container;
+  currentViewState = toViewState(defaultView);
 
   deck = new Deck({
     parent: container,
-    initialViewState: {
-      longitude: VIEW_CENTER[0],
-      latitude: VIEW_CENTER[1],
-      zoom: VIEW_ZOOM,
-      pitch: 0,
-      bearing: 0
-    },
+    viewState: currentViewState,
     controller: true,
+    onViewStateChange: ({ viewState }) => {
+      applyViewState(viewState);
+
+      // Clusters depend on zoom
+      if (layerVisibility.cluster && Math.floor(viewState.zoom) !== clusterZoom) {
+        updateLayers();
+      }
+    },
     layers: createLayers(),
+    onAfterRender: () => {
+      if (hoverPending) {
+        hoverPending = false;
+        interactions.emit('hover', 'polygons');
+      }
+      if (renderWaiters.length === 0 || !deck.props.layers.every(layer => layer.isLoaded)) return;
+      renderWaiters.forEach(resolve => resolve());
+      renderWaiters = [];
+    },
     getTooltip: ({ object }) => {
       if (!object) return null;
       const props = object.properties;
-      if (!props) return null;
+      if (!props || props.cluster) return null;
       return {
         html: `<strong>${props.name}</strong>`,
         style: {
@@ -344,6 +508,75 @@ export function initMap() {
   return deck;
 }
 
+// Release the WebGL context and remove the canvas
+export function destroy() {
+  if (!deck) return;
+
+  deck.finalize();
+  deck = null;
+  mapContainer = null;
+  currentViewState = null;
+  renderWaiters = [];
+  if (popupElement) {
+    popupElement.remove();
+    popupElement = null;
+  }
+}
+
+// Deck.gl accepts layers as soon as it is constructed
+export function whenReady() {
+  return Promise.resolve();
+}
+
+// Resolves after the next frame drawn with every layer's data loaded;
+// the redraw on the next animation frame covers a deck with nothing pending
+export function whenRendered() {
+  return new Promise(resolve => {
+    renderWaiters.push(resolve);
+    requestAnimationFrame(() => deck?.redraw('whenRendered'));
+  });
+}
+
+// Size the canvas to the container explicitly; a container that was hidden
+// when Deck measured it would otherwise keep a stale size
+export function resize() {
+  if (!deck) return;
+
+  const { clientWidth, clientHeight } = mapContainer;
+  deck.setProps({ width: clientWidth, height: clientHeight });
+  deck.redraw('resize');
+}
+
+// useDevicePixels accepts a ratio; true is the device's own
+export function setPixelRatio(ratio) {
+  if (deck) deck.setProps({ useDevicePixels: ratio ?? true });
+}
+
+// setProps() only queues new layers; they are matched and their attributes
+// updated in updateLayers(), which Deck otherwise runs at its next animation
+// frame. Run it first so the forced redraw shows the latest data.
+export function renderSync() {
+  if (!deck) return;
+
+  deck.layerManager?.updateLayers();
+  deck.redraw('renderSync');
+  finishWebGL([deck.getCanvas()]);
+}
+
+// The view state is controlled, so every call jumps, even back to a view
+// requested before
+export function setView(view) {
+  if (!deck) return;
+
+  applyViewState(toViewState(view));
+  if (layerVisibility.cluster) updateLayers();
+}
+
+export function getView() {
+  const { longitude, latitude, zoom, bearing } = currentViewState;
+  return { center: [longitude, latitude], zoom, bearing };
+}
+
 export function setLayerVisibility(layerId, visible) {
   layerVisibility[layerId] = visible;
 
@@ -355,6 +588,13 @@ export function setLayerVisibility(layerId, visible) {
   updateLayers();
 }
 
+export function project(lngLat) {
+  const [x, y] = deck.getViewports()[0].project(lngLat);
+  return [x, y];
+}
+
+export const onInteractionRendered = interactions.subscribe;
+
 export function getMap() {
   return deck;
 }
@@ -368,6 +608,7 @@ export function getFeatureCount() {
 // Animation support - update all point positions
 export function updatePointPositions(animatedData) {
   currentPointData = animatedData;
+  clusterIndexStale = true;
   updateLayers();
 }
 
@@ -375,5 +616,16 @@ export function updatePointPositions(animatedData) {
 export function setPointsData(pointsGeoJSON) {
   data.points = pointsGeoJSON;
   currentPointData = pointsGeoJSON;
+  clusterIndexStale = true;
   updateLayers();
 }
+
+// Replace the lines (dense line scenario)
+export function setLinesData(linesGeoJSON) {
+  data.lines = linesGeoJSON;
+  updateLayers();
+}
+
+export function getLinesData() {
+  return data.lines;
+}
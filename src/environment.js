@@ -0,0 +1,73 @@
+// environment.js - Describes the browser and device a benchmark runs on
+//
+// Captured when a run starts and stored with its results, so archived runs
+// can be told apart (and compared only with like-for-like machines).
+// Library versions are the installed versions of the package.json
+// dependencies, baked in at build time by vite.config.js.
+
+import { getMemorySource } from './memory.js';
+
+const REFRESH_SAMPLE_FRAMES = 60;   // ~1s at 60Hz
+
+// GPU vendor / renderer strings from a throwaway WebGL context (the unmasked
+// ones where the browser exposes WEBGL_debug_renderer_info)
+function getGpuInfo() {
+  const gl = document.createElement('canvas').getContext('webgl');
+  if (!gl) return null;
+
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+  const gpu = {
+    vendor: gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR),
+    renderer: gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER)
+  };
+  gl.getExtension('WEBGL_lose_context')?.loseContext();
+  return gpu;
+}
+
+// Display refresh rate in Hz from the median interval between animation
+// frames, null if the frames are too irregular to tell (busy or hidden tab)
+function estimateRefreshRate() {
+  return new Promise(resolve => {
+    const intervals = [];
+    let last = null;
+
+    function sample(now) {
+      if (last !== null) intervals.push(now - last);
+      last = now;
+      if (intervals.length < REFRESH_SAMPLE_FRAMES) {
+        requestAnimationFrame(sample);
+        return;
+      }
+
+      intervals.sort((a, b) => a - b);
+      const median = intervals[Math.floor(intervals.length / 2)];
+      const q1 = intervals[Math.floor(intervals.length * 0.25)];
+      const q3 = intervals[Math.floor(intervals.length * 0.75)];
+      resolve(median > 0 && (q3 - q1) / median < 0.25 ? Math.round(1000 / median) : null);
+    }
+
+    requestAnimationFrame(sample);
+  });
+}
+
+export async function getEnvironment() {
+  const mapContainer = document.getElementById('map-container');
+
+  return {
+    userAgent: navigator.userAgent,
+    platform: navigator.userAgentData?.platform ?? navigator.platform,
+    language: navigator.language,
+    hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+    deviceMemory: navigator.deviceMemory ?? null,   // GB, Chromium only
+    devicePixelRatio: window.devicePixelRatio,
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    mapSize: mapContainer
+      ? { width: mapContainer.clientWidth, height: mapContainer.clientHeight }
+      : null,
+    screen: { width: window.screen.width, height: window.screen.height },
+    gpu: getGpuInfo(),
+    refreshRate: await estimateRefreshRate(),   // Hz, null if it could not be estimated
+    memorySource: getMemorySource(),   // API behind the memory metrics, null if none
+    libraryVersions: __LIBRARY_VERSIONS__   // { package: version }
+  };
+}
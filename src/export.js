@@ -0,0 +1,165 @@
+// export.js - Download benchmark reports as JSON or CSV, and read them back
+//
+// The JSON file is the complete report from getBenchmarkReport() and can be
+// imported again with parseReport(). The CSV has one row per scenario /
+// library / count / iteration plus a "combined" row with the stats across
+// iterations and an empty "failed" row per iteration that could not be
+// measured (e.g. view extent mismatch); run metadata is repeated on every row
+// so CSVs from several runs can be concatenated and filtered in a spreadsheet.
+
+import { REPORT_VERSION, parseResultKey } from './benchmark.js';
+import { formatViewport, getPixelCount } from './viewport.js';
+
+// Metric columns: header and how to read it from iteration or combined metrics
+const METRIC_COLUMNS = [
+  ['median_fps', m => m.medianFps],
+  ['avg_fps', m => m.avgFps],
+  ['min_fps', m => m.minFps],
+  ['max_fps', m => m.maxFps],
+  ['renders_per_second', m => m.rendersPerSecond],
+  ['avg_frame_time_ms', m => m.avgFrameTime],
+  ['jitter_ms', m => m.jitter],
+  ['p50_frame_time_ms', m => m.p50FrameTime],
+  ['p95_frame_time_ms', m => m.p95FrameTime],
+  ['p99_frame_time_ms', m => m.p99FrameTime],
+  ['long_frames', m => m.longFrames ?? m.totalLongFrames],
+  ['script_time_per_frame_ms', m => m.scriptTimePerFrame],
+  ['script_share_pct', m => m.scriptShare],
+  ['long_tasks', m => m.longTasks ?? m.totalLongTasks],
+  ['total_blocking_time_ms', m => m.totalBlockingTime],
+  ['frame_work_ms', m => m.frameWorkTime],
+  ['headroom_pct', m => m.headroom],
+  ['set_data_ms', m => m.setDataTime],
+  ['data_load_ms', m => m.dataLoadTime],
+  ['memory_before_mb', m => m.memoryBefore],
+  ['memory_after_load_mb', m => m.memoryAfterLoad],
+  ['memory_peak_mb', m => m.memoryPeak],
+  ['input_latency_p50_ms', m => m.inputLatencyMedian],
+  ['input_latency_p95_ms', m => m.inputLatencyP95],
+  ['input_samples', m => m.inputSamples],
+  ['input_misses', m => m.inputMisses],
+  ['fps_iqr', m => m.fpsIqr],
+  ['fps_ci_low', m => m.fpsCi?.[0]],
+  ['fps_ci_high', m => m.fpsCi?.[1]],
+  ['outliers_excluded', m => m.outliersExcluded ?? m.totalOutliersExcluded],
+  ['max_frame_gap_ms', m => m.maxFrameGap],
+  ['throttle_warnings', m => m.throttleWarnings]
+];
+
+// Run metadata columns, repeated on every row
+const RUN_COLUMNS = [
+  ['started_at', report => report.startedAt],
+  ['seed', report => report.config.seed],
+  ['mode', report => report.config.mode ?? 'frames'],
+  ['warmup_ms', report => report.config.warmupMs],
+  ['duration_ms', report => report.config.durationMs],
+  ['device_pixel_ratio', report => report.environment.devicePixelRatio],
+  ['viewport', report => `${report.environment.viewport.width}x${report.environment.viewport.height}`],
+  ['hardware_concurrency', report => report.environment.hardwareConcurrency],
+  ['gpu_vendor', report => report.environment.gpu?.vendor],
+  ['gpu_renderer', report => report.environment.gpu?.renderer],
+  ['refresh_rate_hz', report => report.environment.refreshRate],
+  ['library_versions', report => Object.entries(report.environment.libraryVersions ?? {})
+    .map(([name, version]) => `${name}@${version}`).join(' ')],
+  ['user_agent', report => report.environment.userAgent]
+];
+
+// Quote a CSV field when it contains a separator, quote or newline
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The combined stats keep a copy of the iterations for the chart tooltips;
+// leave it out so every iteration is written once
+export function reportToJSON(report) {
+  return JSON.stringify(report, (key, value) => key === 'iterationDetails' ? undefined : value, 2);
+}
+
+export function reportToCSV(report) {
+  const header = [
+    'scenario', 'viewport_preset', 'device_pixels', 'library', 'library_name', 'renderer', 'count', 'iteration',
+    ...METRIC_COLUMNS.map(([name]) => name),
+    ...RUN_COLUMNS.map(([name]) => name)
+  ];
+  const runValues = RUN_COLUMNS.map(([, read]) => read(report));
+  const rows = [header];
+
+  Object.entries(report.results).forEach(([key, scenarioResults]) => {
+    const { scenarioId, viewportId } = parseResultKey(key);
+    const viewport = viewportId && report.viewports?.[viewportId];
+
+    Object.entries(scenarioResults).forEach(([lib, libResults]) => {
+      const { name, renderer } = report.libraries[lib];
+
+      Object.entries(libResults).forEach(([count, { iterations, failures = [], combined }]) => {
+        const row = (iteration, metrics) => [
+          scenarioId, viewport ? formatViewport(viewport) : '', viewport ? getPixelCount(viewport) : '',
+          lib, name, renderer, count, iteration,
+          ...METRIC_COLUMNS.map(([, read]) => read(metrics)),
+          ...runValues
+        ];
+
+        iterations.forEach((metrics, index) => rows.push(row(index + 1, metrics)));
+        failures.forEach(() => rows.push(row('failed', {})));
+        if (combined) rows.push(row('combined', combined));
+      });
+    });
+  });
+
+  return rows.map(fields => fields.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Parse an exported JSON report; throws with a readable message if the text
+// is not a report this version of the app can show
+export function parseReport(text) {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch {
+    throw new Error('not a JSON file');
+  }
+
+  if (!report || typeof report !== 'object' || !report.results || !report.config || !report.libraries) {
+    throw new Error('not a benchmark report');
+  }
+  if (report.version !== REPORT_VERSION) {
+    throw new Error(`unsupported report version ${report.version}`);
+  }
+  // Library colors end up in style attributes, so only plain hex colors pass
+  Object.entries(report.libraries).forEach(([lib, library]) => {
+    if (typeof library?.name !== 'string' || !/^#[0-9a-f]{6}$/i.test(library.color)) {
+      throw new Error(`invalid library entry "${lib}"`);
+    }
+  });
+
+  // Restore the iteration copy reportToJSON() leaves out
+  Object.values(report.results).forEach(scenarioResults => {
+    Object.values(scenarioResults).forEach(libResults => {
+      Object.values(libResults).forEach(({ iterations, combined }) => {
+        if (combined) combined.iterationDetails = iterations;
+      });
+    });
+  });
+
+  return report;
+}
+
+// File name stem like map-benchmark-2026-01-31T12-00-00
+export function reportFileName(report) {
+  return `map-benchmark-${report.startedAt.slice(0, 19).replace(/:/g, '-')}`;
+}
+
+// Save text as a file through a temporary object URL. The URL is revoked a
+// task later: revoking it right after click() can cancel the download in Firefox.
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
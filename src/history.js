@@ -0,0 +1,100 @@
+// history.js - Completed benchmark runs kept in IndexedDB
+//
+// Every run is stored as { id, name, savedAt, report } with the full report
+// from getBenchmarkReport() (environment, config and results). One run can be
+// marked as the baseline, which the results view compares against. The
+// headless runner (scripts/bench.js) does not use this history; it compares
+// against its own baseline file (bench/baseline.json).
+
+const DB_NAME = 'map-benchmark';
+const DB_VERSION = 1;
+const RUN_STORE = 'runs';
+const BASELINE_KEY = 'map-benchmark-baseline';   // localStorage, id of the baseline run
+
+let dbPromise = null;
+
+// Resolve an IDBRequest (or a transaction, on complete)
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    if (request instanceof IDBTransaction) {
+      request.oncomplete = () => resolve();
+      request.onabort = request.onerror = () => reject(request.error);
+    } else {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(RUN_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    dbPromise = promisify(request);
+    dbPromise.catch(() => { dbPromise = null; });  // Let the next call try again
+  }
+  return dbPromise;
+}
+
+async function getStore(mode) {
+  const db = await openDatabase();
+  const transaction = db.transaction(RUN_STORE, mode);
+  return { store: transaction.objectStore(RUN_STORE), done: promisify(transaction) };
+}
+
+// Save a completed report; returns the id of the stored run
+export async function saveRun(report, name = new Date(report.startedAt).toLocaleString()) {
+  const { store, done } = await getStore('readwrite');
+  const id = await promisify(store.add({ name, savedAt: new Date().toISOString(), report }));
+  await done;
+  return id;
+}
+
+// All runs, newest first
+export async function listRuns() {
+  const { store } = await getStore('readonly');
+  const runs = await promisify(store.getAll());
+  return runs.sort((a, b) => b.id - a.id);
+}
+
+export async function getRun(id) {
+  const { store } = await getStore('readonly');
+  return (await promisify(store.get(id))) ?? null;
+}
+
+export async function renameRun(id, name) {
+  const { store, done } = await getStore('readwrite');
+  const run = await promisify(store.get(id));
+  if (!run) return;
+  store.put({ ...run, name });
+  await done;
+}
+
+export async function deleteRun(id) {
+  const { store, done } = await getStore('readwrite');
+  store.delete(id);
+  await done;
+  if (getBaselineId() === id) setBaselineId(null);
+}
+
+// Baseline run id, or null when none is set
+export function getBaselineId() {
+  const id = Number(localStorage.getItem(BASELINE_KEY));
+  return id > 0 ? id : null;
+}
+
+export function setBaselineId(id) {
+  if (id === null) {
+    localStorage.removeItem(BASELINE_KEY);
+  } else {
+    localStorage.setItem(BASELINE_KEY, String(id));
+  }
+}
+
+// The baseline run, or null when none is set or it was deleted
+export async function getBaselineRun() {
+  const id = getBaselineId();
+  return id === null ? null : getRun(id);
+}
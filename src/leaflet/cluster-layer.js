@@ -0,0 +1,113 @@
+import { LayerGroup, Marker, CircleMarker, DivIcon } from 'leaflet';
+import Supercluster from 'supercluster';
+
+// Point clustering for Leaflet 2.0
+//
+// leaflet.markercluster only attaches to the 1.x global `L`, so clusters are
+// computed with Supercluster (the same index MapLibre's GeoJSON source uses)
+// and re-rendered for the visible bounds after every move. Clusters are
+// DivIcon markers with a count label; click one to zoom to where it splits.
+// Unclustered points are CircleMarkers drawn by the map's vector renderer.
+
+// Color/size steps match the MapLibre cluster layer (point_count 100, 500)
+function clusterClassName(count) {
+  if (count >= 500) return 'marker-cluster-large';
+  if (count >= 100) return 'marker-cluster-medium';
+  return 'marker-cluster-small';
+}
+
+function clusterDiameter(count) {
+  if (count >= 500) return 80;
+  if (count >= 100) return 60;
+  return 40;
+}
+
+export class ClusterLayer extends LayerGroup {
+  // points: GeoJSON FeatureCollection of Point features
+  initialize(points, options) {
+    super.initialize(null, options);
+    this._index = new Supercluster({
+      radius: 50,
+      maxZoom: 14,
+      // Leaflet tiles are 256px, so a 256 extent makes radius screen pixels
+      extent: 256
+    });
+    this.setData(points);
+  }
+
+  // The index is only rebuilt while the layer is on the map
+  setData(points) {
+    this._points = points;
+    this._stale = true;
+    if (this._map) this._update();
+    return this;
+  }
+
+  onAdd(map) {
+    this._update();
+    super.onAdd(map);
+  }
+
+  getEvents() {
+    return { moveend: this._update };
+  }
+
+  // Replace the rendered markers with the clusters for the current view
+  _update() {
+    if (this._stale) {
+      this._index.load(this._points.features);
+      this._stale = false;
+    }
+
+    const map = this._map;
+    const bounds = map.getBounds().pad(0.1);
+    const clusters = this._index.getClusters(
+      [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+      Math.floor(map.getZoom())
+    );
+
+    this.clearLayers();
+    clusters.forEach(feature => this.addLayer(this._createMarker(feature)));
+  }
+
+  _createMarker(feature) {
+    const [lng, lat] = feature.geometry.coordinates;
+    const props = feature.properties;
+
+    if (!props.cluster) {
+      const marker = new CircleMarker([lat, lng], {
+        radius: 6,
+        fillColor: '#e94560',
+        fillOpacity: 1,
+        color: '#fff',
+        weight: 2
+      });
+
+      marker.bindPopup(`
+        <strong>${props.name}</strong><br>
+        Category: ${props.category}<br>
+        Magnitude: ${props.magnitude.toFixed(1)}
+      `);
+
+      return marker;
+    }
+
+    const count = props.point_count;
+    const size = clusterDiameter(count);
+    const marker = new Marker([lat, lng], {
+      icon: new DivIcon({
+        html: `<div><span>${props.point_count_abbreviated}</span></div>`,
+        className: `marker-cluster ${clusterClassName(count)}`,
+        iconSize: [size, size]
+      })
+    });
+
+    // Zoom in to where the cluster breaks apart
+    marker.on('click', () => {
+      const zoom = Math.min(this._index.getClusterExpansionZoom(props.cluster_id), this._map.getMaxZoom());
+      this._map.setView([lat, lng], zoom);
+    });
+
+    return marker;
+  }
+}
@@ -0,0 +1,194 @@
+import { Layer, DomUtil, Util } from 'leaflet';
+
+// Heatmap layer for Leaflet 2.0
+//
+// leaflet.heat only attaches to the 1.x global `L`, so this is a small
+// ES-class port of the same approach (simpleheat): every point stamps a
+// blurred alpha "brush" onto an offscreen canvas, then the accumulated alpha
+// is mapped through a color gradient. The canvas covers the visible map and
+// is redrawn after every move; during zoom animations it is CSS-scaled.
+
+export class HeatLayer extends Layer {
+  static {
+    this.setDefaultOptions({
+      radius: 30,          // Brush radius in pixels
+      blur: 15,            // Extra blur around the brush in pixels
+      max: 1,              // Weight that maps to full intensity
+      minOpacity: 0.05,
+      gradient: {
+        0.2: '#2ecc71',
+        0.4: '#f1c40f',
+        0.6: '#e67e22',
+        0.8: '#e74c3c',
+        1.0: '#9b59b6'
+      },
+      weight: () => 1      // (feature) => weight, compared against max
+    });
+  }
+
+  // points: GeoJSON FeatureCollection of Point features
+  initialize(points, options) {
+    Util.setOptions(this, options);
+    this._points = points;
+    this._frame = null;
+  }
+
+  setData(points) {
+    this._points = points;
+    return this.redraw();
+  }
+
+  // Redraw on the next animation frame (coalesces several updates per frame)
+  redraw() {
+    if (this._map && !this._frame) {
+      this._frame = requestAnimationFrame(() => {
+        this._frame = null;
+        this._draw();
+      });
+    }
+    return this;
+  }
+
+  // Draw a pending redraw now (for renderSync)
+  flush() {
+    if (!this._frame) return this;
+
+    cancelAnimationFrame(this._frame);
+    this._frame = null;
+    this._draw();
+    return this;
+  }
+
+  onAdd(map) {
+    const canvas = this._canvas = DomUtil.create('canvas', 'leaflet-heatmap-layer leaflet-layer');
+    canvas.classList.toggle('leaflet-zoom-animated', this._zoomAnimated);
+    canvas.style.pointerEvents = 'none';
+
+    this._brush = this._createBrush();
+    this._palette = this._createPalette();
+
+    this.getPane().appendChild(canvas);
+    this._reset();
+    this._draw();
+    return map;
+  }
+
+  onRemove() {
+    if (this._frame) {
+      cancelAnimationFrame(this._frame);
+      this._frame = null;
+    }
+    this._canvas.remove();
+    this._canvas = null;
+  }
+
+  getEvents() {
+    const events = {
+      viewreset: this._reset,
+      moveend: this._reset,
+      resize: this._reset
+    };
+
+    if (this._zoomAnimated) {
+      events.zoomanim = this._animateZoom;
+    }
+
+    return events;
+  }
+
+  // Align the canvas with the map container and redraw
+  _reset() {
+    const size = this._map.getSize();
+    const topLeft = this._map.containerPointToLayerPoint([0, 0]);
+
+    DomUtil.setPosition(this._canvas, topLeft);
+    if (this._canvas.width !== size.x || this._canvas.height !== size.y) {
+      this._canvas.width = size.x;
+      this._canvas.height = size.y;
+    }
+
+    this._draw();
+  }
+
+  _animateZoom(e) {
+    const scale = this._map.getZoomScale(e.zoom);
+    const offset = this._map._latLngBoundsToNewLayerBounds(this._map.getBounds(), e.zoom, e.center).min;
+
+    DomUtil.setTransform(this._canvas, offset, scale);
+  }
+
+  // Pre-render the blurred circle every point is stamped with
+  _createBrush() {
+    const { radius, blur } = this.options;
+    const size = (radius + blur) * 2;
+    const brush = document.createElement('canvas');
+    brush.width = brush.height = size;
+
+    // Draw the circle off-canvas so only its shadow (the blur) lands on it
+    const ctx = brush.getContext('2d');
+    ctx.shadowOffsetX = ctx.shadowOffsetY = size * 2;
+    ctx.shadowBlur = blur;
+    ctx.shadowColor = 'black';
+    ctx.beginPath();
+    ctx.arc(-size * 1.5, -size * 1.5, radius, 0, Math.PI * 2, true);
+    ctx.closePath();
+    ctx.fill();
+
+    return brush;
+  }
+
+  // 256-entry RGBA lookup table built from the gradient stops
+  _createPalette() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 256;
+
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+    Object.entries(this.options.gradient).forEach(([stop, color]) => {
+      gradient.addColorStop(Number(stop), color);
+    });
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 1, 256);
+
+    return ctx.getImageData(0, 0, 1, 256).data;
+  }
+
+  _draw() {
+    if (!this._map || !this._canvas) return;
+
+    const canvas = this._canvas;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const { max, minOpacity, weight, radius, blur } = this.options;
+    const offset = radius + blur;
+    const bounds = this._map.getBounds().pad(0.1);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Accumulate alpha for every visible point
+    this._points.features.forEach(feature => {
+      const [lng, lat] = feature.geometry.coordinates;
+      if (!bounds.contains([lat, lng])) return;
+
+      const point = this._map.latLngToContainerPoint([lat, lng]);
+      ctx.globalAlpha = Math.min(Math.max(weight(feature) / max, minOpacity), 1);
+      ctx.drawImage(this._brush, point.x - offset, point.y - offset);
+    });
+    ctx.globalAlpha = 1;
+
+    if (canvas.width === 0 || canvas.height === 0) return;
+
+    // Colorize: alpha becomes an index into the gradient palette
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = image.data;
+    for (let i = 3; i < pixels.length; i += 4) {
+      const index = pixels[i] * 4;
+      if (index) {
+        pixels[i - 3] = this._palette[index];
+        pixels[i - 2] = this._palette[index + 1];
+        pixels[i - 1] = this._palette[index + 2];
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+  }
+}
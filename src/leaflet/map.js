@@ -1,21 +1,27 @@
-import { Map, TileLayer, CircleMarker, Polygon, Polyline, LayerGroup } from 'leaflet';
+import { Map, TileLayer, CircleMarker, Polygon, Polyline, LayerGroup, SVG, Canvas } from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { getAllData } from '../data/fake-data.js';
-
-// State
-let map = null;
-const data = getAllData();
-const layers = {
-  points: null,
-  polygons: null,
-  lines: null,
-  heatmap: null,
-  cluster: null
+import { createInteractionEmitter } from '../adapter.js';
+import { DEFAULT_VIEW, toNativeView } from '../map-view.js';
+import { HeatLayer } from './heat-layer.js';
+import { ClusterLayer } from './cluster-layer.js';
+
+// Leaflet draws vector layers with SVG unless a Canvas renderer is requested,
+// so the module builds one adapter per renderer to measure both explicitly.
+
+// Shared by both variants; syncRender depends on the renderer
+const capabilities = {
+  heatmap: true,
+  cluster: true,
+  rotation: false,
+  pixelRatio: false,
+  tileSize: 256
 };
-let pointMarkers = [];
 
-// Code snippets for each layer type
-export const codeSnippets = {
+const defaultView = toNativeView(DEFAULT_VIEW, capabilities);
+
+// Code snippets for each layer type (shared by both renderer variants)
+const CODE_SNIPPETS = {
   points: `// Leaflet 2.0 - Points Layer
 import L from 'leaflet';
 
@@ -106,22 +112,15 @@ linesGeoJSON.features.forEach(feature => {
 linesLayer.addTo(map);`,
 
   heatmap: `// Leaflet 2.0 - Heatmap Layer
-// Note: Not yet implemented for Leaflet 2.0 Alpha
-// Requires leaflet.heat plugin compatibility verification
-
-import L from 'leaflet';
-import 'leaflet.heat';
-
-const heatPoints = pointsGeoJSON.features.map(f => {
-  const [lng, lat] = f.geometry.coordinates;
-  const magnitude = f.properties.magnitude;
-  return [lat, lng, magnitude];
-});
+// leaflet.heat targets the 1.x global L, so HeatLayer is a small
+// ES-class port of it (src/leaflet/heat-layer.js)
+import { HeatLayer } from './heat-layer.js';
 
-const heatmapLayer = L.heatLayer(heatPoints, {
+const heatmapLayer = new HeatLayer(pointsGeoJSON, {
   radius: 30,
   blur: 15,
-  maxZoom: 17,
+  // Weight by magnitude (1-10)
+  weight: (feature) => feature.properties.magnitude / 10,
   gradient: {
     0.2: '#2ecc71',
     0.4: '#f1c40f',
@@ -134,244 +133,428 @@ const heatmapLayer = L.heatLayer(heatPoints, {
 heatmapLayer.addTo(map);`,
 
   cluster: `// Leaflet 2.0 - Clustering
-// Note: Not yet implemented for Leaflet 2.0 Alpha
-// Requires leaflet.markercluster plugin compatibility verification
+// leaflet.markercluster targets the 1.x global L, so ClusterLayer
+// renders Supercluster output (src/leaflet/cluster-layer.js)
+import { LayerGroup, Marker, DivIcon } from 'leaflet';
+import Supercluster from 'supercluster';
+
+const index = new Supercluster({ radius: 50, maxZoom: 14, extent: 256 });
+index.load(pointsGeoJSON.features);
+
+const clusterLayer = new LayerGroup().addTo(map);
+
+function render() {
+  const b = map.getBounds();
+  const clusters = index.getClusters(
+    [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()],
+    map.getZoom()
+  );
+
+  clusterLayer.clearLayers();
+  clusters.forEach(({ geometry, properties }) => {
+    const [lng, lat] = geometry.coordinates;
+    if (!properties.cluster) return; // Single points: CircleMarker
+
+    const count = properties.point_count;
+    const size = count >= 500 ? 80 : count >= 100 ? 60 : 40;
+    const marker = new Marker([lat, lng], {
+      icon: new DivIcon({
+        html: '<div><span>' + properties.point_count_abbreviated + '</span></div>',
+        className: 'marker-cluster',
+        iconSize: [size, size]
+      })
+    });
 
-import L from 'leaflet';
-import 'leaflet.markercluster';
+    // Click to zoom in until the cluster splits
+    marker.on('click', () => {
+      map.setView([lat, lng], index.getClusterExpansionZoom(properties.cluster_id));
+    });
+    clusterLayer.addLayer(marker);
+  });
+}
 
-const clusterLayer = L.markerClusterGroup({
-  maxClusterRadius: 50,
-  iconCreateFunction: (cluster) => {
-    const count = cluster.getChildCount();
-    let className = 'marker-cluster-small';
+map.on('moveend', render);
+render();`
+};
 
-    if (count > 500) className = 'marker-cluster-large';
-    else if (count > 100) className = 'marker-cluster-medium';
+// Prefix every snippet with the renderer the variant's map was created with
+function codeSnippetsFor(rendererClass) {
+  return Object.fromEntries(Object.entries(CODE_SNIPPETS).map(([layerId, code]) => [
+    layerId,
+    code.replace('// Leaflet 2.0 -', `// Leaflet 2.0 (${rendererClass}) -`)
+      .replace('\n', `\n// Map created with { renderer: new ${rendererClass}() }\n`)
+  ]));
+}
 
-    return L.divIcon({
-      html: '<div><span>' + count + '</span></div>',
-      className: 'marker-cluster ' + className,
-      iconSize: L.point(40, 40)
+// Build an adapter (see src/adapter.js) whose vector layers use one renderer
+function createLeafletAdapter({ library, createRenderer, rendererClass, syncRender }) {
+  // State
+  let map = null;
+  let renderer = null;
+  const data = getAllData();
+  const layers = {
+    points: null,
+    polygons: null,
+    lines: null,
+    heatmap: null,
+    cluster: null
+  };
+  let pointMarkers = [];
+  const interactions = createInteractionEmitter();
+
+  // Create points layer
+  function createPointsLayer() {
+    layers.points = new LayerGroup();
+    pointMarkers = [];
+
+    data.points.features.forEach(feature => {
+      const [lng, lat] = feature.geometry.coordinates;
+      const marker = new CircleMarker([lat, lng], {
+        radius: 6,
+        fillColor: '#e94560',
+        fillOpacity: 1,
+        color: '#fff',
+        weight: 2
+      });
+
+      marker.bindPopup(`
+        <strong>${feature.properties.name}</strong><br>
+        Category: ${feature.properties.category}<br>
+        Magnitude: ${feature.properties.magnitude.toFixed(1)}
+      `);
+
+      marker.addTo(layers.points);
+      pointMarkers.push({ marker, feature });
     });
   }
-});
-
-pointsGeoJSON.features.forEach(feature => {
-  const [lng, lat] = feature.geometry.coordinates;
-  const marker = L.circleMarker([lat, lng], {
-    radius: 6,
-    fillColor: '#e94560',
-    fillOpacity: 1,
-    color: '#fff',
-    weight: 2
-  });
-  clusterLayer.addLayer(marker);
-});
 
-map.addLayer(clusterLayer);`
-};
-
-// Create points layer
-function createPointsLayer() {
-  layers.points = new LayerGroup();
-  pointMarkers = [];
-
-  data.points.features.forEach(feature => {
-    const [lng, lat] = feature.geometry.coordinates;
-    const marker = new CircleMarker([lat, lng], {
-      radius: 6,
-      fillColor: '#e94560',
-      fillOpacity: 1,
-      color: '#fff',
-      weight: 2
+  // Create polygons layer
+  function createPolygonsLayer() {
+    layers.polygons = new LayerGroup();
+
+    data.polygons.features.forEach(feature => {
+      // Convert [lng, lat] to [lat, lng] for Leaflet
+      const coords = feature.geometry.coordinates[0].map(
+        ([lng, lat]) => [lat, lng]
+      );
+
+      const polygon = new Polygon(coords, {
+        fillColor: feature.properties.color,
+        fillOpacity: 0.5,
+        color: '#ffffff',
+        weight: 2
+      });
+
+      polygon.bindPopup(`
+        <strong>${feature.properties.name}</strong><br>
+        Type: ${feature.properties.type}<br>
+        Population: ${feature.properties.population.toLocaleString()}
+      `);
+
+      // Hover effects
+      polygon.on('mouseover', function() {
+        this.setStyle({ fillOpacity: 0.8, weight: 3 });
+        // SVG paths change at once, the canvas renderer redraws on the next frame
+        requestAnimationFrame(() => interactions.emit('hover', 'polygons'));
+      });
+
+      polygon.on('mouseout', function() {
+        this.setStyle({ fillOpacity: 0.5, weight: 2 });
+      });
+
+      polygon.addTo(layers.polygons);
     });
+  }
 
-    marker.bindPopup(`
-      <strong>${feature.properties.name}</strong><br>
-      Category: ${feature.properties.category}<br>
-      Magnitude: ${feature.properties.magnitude.toFixed(1)}
-    `);
+  // Create lines layer
+  function createLinesLayer() {
+    layers.lines = new LayerGroup();
+    addLines(data.lines);
+  }
 
-    marker.addTo(layers.points);
-    pointMarkers.push({ marker, feature });
-  });
-}
+  function addLines(linesGeoJSON) {
+    linesGeoJSON.features.forEach(feature => {
+      // Convert [lng, lat] to [lat, lng] for Leaflet
+      const coords = feature.geometry.coordinates.map(
+        ([lng, lat]) => [lat, lng]
+      );
+
+      const line = new Polyline(coords, {
+        color: feature.properties.color,
+        weight: 4,
+        opacity: 0.8,
+        lineCap: 'round',
+        lineJoin: 'round'
+      });
+
+      line.bindPopup(`
+        <strong>${feature.properties.name}</strong><br>
+        Type: ${feature.properties.type}<br>
+        Distance: ${feature.properties.distance} km
+      `);
+
+      line.addTo(layers.lines);
+    });
+  }
 
-// Create polygons layer
-function createPolygonsLayer() {
-  layers.polygons = new LayerGroup();
-
-  data.polygons.features.forEach(feature => {
-    // Convert [lng, lat] to [lat, lng] for Leaflet
-    const coords = feature.geometry.coordinates[0].map(
-      ([lng, lat]) => [lat, lng]
-    );
-
-    const polygon = new Polygon(coords, {
-      fillColor: feature.properties.color,
-      fillOpacity: 0.5,
-      color: '#ffffff',
-      weight: 2
+  // Create heatmap layer (weighted by magnitude)
+  function createHeatmapLayer() {
+    layers.heatmap = new HeatLayer(data.points, {
+      radius: 30,
+      blur: 15,
+      weight: (feature) => feature.properties.magnitude / 10
     });
+  }
 
-    polygon.bindPopup(`
-      <strong>${feature.properties.name}</strong><br>
-      Type: ${feature.properties.type}<br>
-      Population: ${feature.properties.population.toLocaleString()}
-    `);
+  // Create cluster layer
+  function createClusterLayer() {
+    layers.cluster = new ClusterLayer(data.points);
+  }
 
-    // Hover effects
-    polygon.on('mouseover', function() {
-      this.setStyle({ fillOpacity: 0.8, weight: 3 });
+  // Initialize map
+  function initMap(container) {
+    // Create map - Leaflet uses [lat, lng] order
+    map = new Map(container, {
+      center: [defaultView.center[1], defaultView.center[0]],
+      zoom: defaultView.zoom,
+      renderer: renderer = createRenderer()
     });
 
-    polygon.on('mouseout', function() {
-      this.setStyle({ fillOpacity: 0.5, weight: 2 });
+    // Add base tile layer
+    new TileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '&copy; OpenStreetMap contributors',
+      maxZoom: 19
+    }).addTo(map);
+
+    // Initialize all layers
+    createPointsLayer();
+    createPolygonsLayer();
+    createLinesLayer();
+    createHeatmapLayer();
+    createClusterLayer();
+
+    // Add visible layers to map (points, polygons, lines visible by default)
+    layers.points.addTo(map);
+    layers.polygons.addTo(map);
+    layers.lines.addTo(map);
+
+    map.on('popupopen', ({ popup }) => {
+      const source = popup._source;
+      const layerId = Object.keys(layers).find(id => layers[id]?.hasLayer?.(source));
+      requestAnimationFrame(() => interactions.emit('popup', layerId));
     });
 
-    polygon.addTo(layers.polygons);
-  });
-}
+    return map;
+  }
+
+  // Remove the map and all of its layers
+  function destroy() {
+    if (!map) return;
+
+    map.remove();
+    map = null;
+    renderer = null;
+    pointMarkers = [];
+    Object.keys(layers).forEach(layerId => { layers[layerId] = null; });
+  }
 
-// Create lines layer
-function createLinesLayer() {
-  layers.lines = new LayerGroup();
-
-  data.lines.features.forEach(feature => {
-    // Convert [lng, lat] to [lat, lng] for Leaflet
-    const coords = feature.geometry.coordinates.map(
-      ([lng, lat]) => [lat, lng]
-    );
-
-    const line = new Polyline(coords, {
-      color: feature.properties.color,
-      weight: 4,
-      opacity: 0.8,
-      lineCap: 'round',
-      lineJoin: 'round'
+  // Leaflet is ready as soon as the map is constructed
+  function whenReady() {
+    return Promise.resolve();
+  }
+
+  // Leaflet has no render event: SVG is updated synchronously and the canvas
+  // renderer redraws on the next animation frame, so resolve one frame later
+  function whenRendered() {
+    return new Promise(resolve => {
+      requestAnimationFrame(() => requestAnimationFrame(() => resolve()));
     });
+  }
 
-    line.bindPopup(`
-      <strong>${feature.properties.name}</strong><br>
-      Type: ${feature.properties.type}<br>
-      Distance: ${feature.properties.distance} km
-    `);
+  // Draw pending canvas work now instead of on the next animation frame (the
+  // Canvas renderer and the heat layer batch redraws per frame). SVG elements
+  // are already up to date but only painted by the browser later.
+  // Leaflet has no public API for this: the Canvas renderer's private
+  // _redrawRequest / _redraw() were verified against 2.0.0-alpha.1, and a
+  // renamed internal throws instead of silently measuring nothing
+  function renderSync() {
+    if (!map) return;
+
+    if (syncRender && typeof renderer._redraw !== 'function') {
+      throw new Error(`${library.name}: Canvas renderer has no _redraw(); renderSync() needs updating for this Leaflet version`);
+    }
+    if (renderer._redrawRequest) {
+      cancelAnimationFrame(renderer._redrawRequest);
+      renderer._redraw();
+    }
+    layers.heatmap?.flush();
+  }
 
-    line.addTo(layers.lines);
-  });
-}
+  function resize() {
+    if (map) map.invalidateSize();
+  }
 
-// Create placeholder layers for heatmap and cluster
-function createPlaceholderLayers() {
-  // Create empty layer groups for heatmap and cluster
-  // These will be implemented once plugins are confirmed compatible with Leaflet 2.0
-  layers.heatmap = new LayerGroup();
-  layers.cluster = new LayerGroup();
-}
+  // Leaflet has no pixel ratio option: SVG is rasterized by the browser and
+  // the Canvas renderer always uses window.devicePixelRatio
+  function setPixelRatio() {}
 
-// Shared view configuration (Leaflet is the baseline with discrete zoom)
-const VIEW_CENTER = [40.7128, -74.0060]; // [lat, lng] for Leaflet
-const VIEW_ZOOM = 11;
+  function setView({ center, zoom }) {
+    if (!map) return;
+    map.setView([center[1], center[0]], zoom, { animate: false });
+  }
 
-// Initialize map
-export function initMap() {
-  // Create map - Leaflet uses [lat, lng] order
-  map = new Map('map-leaflet', {
-    center: VIEW_CENTER,
-    zoom: VIEW_ZOOM
-  });
+  function getView() {
+    const { lat, lng } = map.getCenter();
+    return { center: [lng, lat], zoom: map.getZoom(), bearing: 0 };
+  }
 
-  // Add base tile layer
-  new TileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    attribution: '&copy; OpenStreetMap contributors',
-    maxZoom: 19
-  }).addTo(map);
+  // Toggle layer visibility
+  function setLayerVisibility(layerId, visible) {
+    const layer = layers[layerId];
+    if (!layer || !map) return;
 
-  // Initialize all layers
-  createPointsLayer();
-  createPolygonsLayer();
-  createLinesLayer();
-  createPlaceholderLayers();
+    if (visible) {
+      layer.addTo(map);
 
-  // Add visible layers to map (points, polygons, lines visible by default)
-  layers.points.addTo(map);
-  layers.polygons.addTo(map);
-  layers.lines.addTo(map);
+      // Hide regular points when clustering is on
+      if (layerId === 'cluster' && layers.points) {
+        map.removeLayer(layers.points);
+      }
+    } else {
+      map.removeLayer(layer);
+    }
+  }
 
-  return map;
-}
+  function project([lng, lat]) {
+    const { x, y } = map.latLngToContainerPoint([lat, lng]);
+    return [x, y];
+  }
 
-// Toggle layer visibility
-export function setLayerVisibility(layerId, visible) {
-  const layer = layers[layerId];
-  if (!layer || !map) return;
+  // Get map instance
+  function getMap() {
+    return map;
+  }
 
-  if (visible) {
-    layer.addTo(map);
+  // Get total feature count
+  function getFeatureCount() {
+    return data.points.features.length +
+           data.polygons.features.length +
+           data.lines.features.length;
+  }
 
-    // Hide regular points when clustering is on
-    if (layerId === 'cluster' && layers.points) {
-      map.removeLayer(layers.points);
-    }
-  } else {
-    map.removeLayer(layer);
+  // Update point positions for animation
+  function updatePointPositions(animatedData) {
+    if (!map || !layers.points) return;
+
+    // Update regular points
+    animatedData.features.forEach((feature, index) => {
+      if (pointMarkers[index]) {
+        const [lng, lat] = feature.geometry.coordinates;
+        pointMarkers[index].marker.setLatLng([lat, lng]);
+      }
+    });
+
+    // Update heatmap and cluster data
+    layers.heatmap.setData(animatedData);
+    layers.cluster.setData(animatedData);
   }
-}
 
-// Get map instance
-export function getMap() {
-  return map;
-}
+  // Update points data (for dynamic point count)
+  function setPointsData(pointsGeoJSON) {
+    if (!map || !layers.points) return;
 
-// Get total feature count
-export function getFeatureCount() {
-  return data.points.features.length +
-         data.polygons.features.length +
-         data.lines.features.length;
-}
+    data.points = pointsGeoJSON;
 
-// Update point positions for animation
-export function updatePointPositions(animatedData) {
-  if (!map || !layers.points) return;
+    // Clear existing markers
+    layers.points.clearLayers();
+    pointMarkers = [];
 
-  // Update regular points
-  animatedData.features.forEach((feature, index) => {
-    if (pointMarkers[index]) {
+    // Recreate markers with new data
+    pointsGeoJSON.features.forEach(feature => {
       const [lng, lat] = feature.geometry.coordinates;
-      pointMarkers[index].marker.setLatLng([lat, lng]);
-    }
-  });
-}
-
-// Update points data (for dynamic point count)
-export function setPointsData(pointsGeoJSON) {
-  if (!map || !layers.points) return;
-
-  data.points = pointsGeoJSON;
-
-  // Clear existing markers
-  layers.points.clearLayers();
-  pointMarkers = [];
-
-  // Recreate markers with new data
-  pointsGeoJSON.features.forEach(feature => {
-    const [lng, lat] = feature.geometry.coordinates;
-    const marker = new CircleMarker([lat, lng], {
-      radius: 6,
-      fillColor: '#e94560',
-      fillOpacity: 1,
-      color: '#fff',
-      weight: 2
+      const marker = new CircleMarker([lat, lng], {
+        radius: 6,
+        fillColor: '#e94560',
+        fillOpacity: 1,
+        color: '#fff',
+        weight: 2
+      });
+
+      marker.bindPopup(`
+        <strong>${feature.properties.name}</strong><br>
+        Category: ${feature.properties.category}<br>
+        Magnitude: ${feature.properties.magnitude.toFixed(1)}
+      `);
+
+      marker.addTo(layers.points);
+      pointMarkers.push({ marker, feature });
     });
 
-    marker.bindPopup(`
-      <strong>${feature.properties.name}</strong><br>
-      Category: ${feature.properties.category}<br>
-      Magnitude: ${feature.properties.magnitude.toFixed(1)}
-    `);
+    layers.heatmap.setData(pointsGeoJSON);
+    layers.cluster.setData(pointsGeoJSON);
+  }
+
+  // Replace the lines (dense line scenario)
+  function setLinesData(linesGeoJSON) {
+    if (!map || !layers.lines) return;
 
-    marker.addTo(layers.points);
-    pointMarkers.push({ marker, feature });
-  });
+    data.lines = linesGeoJSON;
+    layers.lines.clearLayers();
+    addLines(linesGeoJSON);
+  }
+
+  function getLinesData() {
+    return data.lines;
+  }
+
+  return {
+    library,
+    defaultView,
+    capabilities: { ...capabilities, syncRender },
+    codeSnippets: codeSnippetsFor(rendererClass),
+    initMap,
+    destroy,
+    whenReady,
+    whenRendered,
+    resize,
+    renderSync,
+    setPixelRatio,
+    setView,
+    getView,
+    setLayerVisibility,
+    getMap,
+    getFeatureCount,
+    updatePointPositions,
+    setPointsData,
+    setLinesData,
+    getLinesData,
+    project,
+    onInteractionRendered: interactions.subscribe
+  };
 }
+
+export const leafletSvg = createLeafletAdapter({
+  library: {
+    id: 'leaflet-svg',
+    name: 'Leaflet 2.0 (SVG)',
+    tabLabel: 'Leaflet 2.0 SVG',
+    color: '#e94560',
+    renderer: 'svg'
+  },
+  createRenderer: () => new SVG(),
+  rendererClass: 'SVG',
+  syncRender: false
+});
+
+export const leafletCanvas = createLeafletAdapter({
+  library: {
+    id: 'leaflet-canvas',
+    name: 'Leaflet 2.0 (Canvas)',
+    tabLabel: 'Leaflet 2.0 Canvas',
+    color: '#ff8fab',
+    renderer: 'canvas'
+  },
+  createRenderer: () => new Canvas(),
+  rendererClass: 'Canvas',
+  syncRender: true
+});
@@ -0,0 +1,21 @@
+// libraries.js - Registers the built-in map libraries
+//
+// Import the registry API from this module (not registry.js directly) so the
+// built-in libraries are guaranteed to be registered before it is used.
+// To add a library, implement src/<library>/map.js and register it here.
+
+import { registerLibrary } from './registry.js';
+import { leafletSvg, leafletCanvas } from './leaflet/map.js';
+import * as openlayersModule from './openlayers/map.js';
+import * as openlayersWebglModule from './openlayers-webgl/map.js';
+import * as maplibreModule from './maplibre/map.js';
+import * as deckglModule from './deckgl/map.js';
+
+registerLibrary(leafletSvg);
+registerLibrary(leafletCanvas);
+registerLibrary(openlayersModule);
+registerLibrary(openlayersWebglModule);
+registerLibrary(maplibreModule);
+registerLibrary(deckglModule);
+
+export * from './registry.js';
@@ -0,0 +1,38 @@
+// long-tasks.js - Main-thread blocking from the Long Tasks API
+//
+// The browser reports every task over 50ms as a 'longtask' entry (Chromium
+// only). Total blocking time is the part of each long task beyond 50ms, the
+// same definition Lighthouse uses. Without the API the values are null.
+
+const BLOCKING_THRESHOLD_MS = 50;
+
+function isSupported() {
+  return typeof PerformanceObserver !== 'undefined' &&
+    (PerformanceObserver.supportedEntryTypes || []).includes('longtask');
+}
+
+// Start recording long tasks. The returned stop(since) disconnects and gives
+// { longTasks, totalBlockingTime } for the tasks that started at or after
+// `since` (a performance.now() timestamp)
+export function observeLongTasks() {
+  if (!isSupported()) {
+    return () => ({ longTasks: null, totalBlockingTime: null });
+  }
+
+  const entries = [];
+  const observer = new PerformanceObserver(list => entries.push(...list.getEntries()));
+  observer.observe({ type: 'longtask' });
+
+  return since => {
+    // Entries are delivered asynchronously; collect the ones still queued
+    entries.push(...observer.takeRecords());
+    observer.disconnect();
+
+    const measured = entries.filter(entry => entry.startTime >= since);
+    const blocking = measured.reduce((sum, entry) => sum + Math.max(0, entry.duration - BLOCKING_THRESHOLD_MS), 0);
+    return {
+      longTasks: measured.length,
+      totalBlockingTime: Math.round(blocking)
+    };
+  };
+}
@@ -1,26 +1,36 @@
-import * as maplibreModule from './maplibre/map.js';
-import * as openlayersModule from './openlayers/map.js';
-import * as leafletModule from './leaflet/map.js';
-import * as deckglModule from './deckgl/map.js';
 import { getPoints, getAllData } from './data/fake-data.js';
+import { getLibraries, getLibraryIds, getLibrary } from './libraries.js';
+import { runConformance } from './conformance.js';
+import { SCENARIOS, getScenario } from './scenarios.js';
 import Chart from 'chart.js/auto';
 import {
   runBenchmark,
   cancelBenchmark,
   resetBenchmark,
-  getBenchmarkResults,
-  LIBRARIES,
-  POINT_COUNTS,
-  LIBRARY_NAMES,
-  LIBRARY_COLORS
+  getBenchmarkReport,
+  getDefaultConfig,
+  estimateRunTime,
+  LONG_FRAME_MS,
+  DEFAULT_REFRESH_RATE,
+  MEASUREMENT_MODES,
+  parseResultKey
 } from './benchmark.js';
-
-// Current active library
-let activeLib = 'leaflet';
-let maplibreMap = null;
-let openlayersMap = null;
-let leafletMap = null;
-let deckglMap = null;
+import { VIEWPORT_PRESETS, formatViewport, getPixelCount } from './viewport.js';
+import { toNativeView, fromNativeView } from './map-view.js';
+import { reportToJSON, reportToCSV, reportFileName, downloadFile, parseReport } from './export.js';
+import {
+  saveRun,
+  listRuns,
+  getRun,
+  renameRun,
+  deleteRun,
+  getBaselineId,
+  setBaselineId,
+  getBaselineRun
+} from './history.js';
+
+// Current active library (first registered library by default)
+let activeLib = getLibraryIds()[0];
 
 // Layer state
 const layerState = {
@@ -40,10 +50,18 @@ let basePoints = null; // Store original point positions
 let featureData = getAllData();
 let currentPointCount = 1000;
 
+// Compare mode: every map shown at once, cameras following the map last touched
+let compareMode = false;
+let cameraLeader = null;      // Library whose camera the others copy
+let cameraSyncId = null;
+let lastSyncedView = null;    // Leader view (256px-tile zoom) already copied
+
 // Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', () => {
+  renderLibraryTabs();
   initMaps();
   setupTabs();
+  setupCompareMode();
   setupLayerControls();
   setupPointCountPills();
   setupAnimationButton();
@@ -53,14 +71,43 @@ document.addEventListener('DOMContentLoaded', () => {
   setupResizeHandler();
   setupBenchmark();
   updateCodeSnippet('points');
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('conformance')) {
+    runAdapterConformance();
+  }
+  if (params.has('bench')) {
+    exposeBenchmarkHook();
+  }
 });
 
+// Generate a tab button and a map container for every registered library
+function renderLibraryTabs() {
+  const tabsElement = document.getElementById('tabs');
+  const mapContainer = document.getElementById('map-container');
+
+  getLibraries().forEach(({ library }) => {
+    const tab = document.createElement('button');
+    tab.className = 'tab';
+    tab.dataset.tab = library.id;
+    tab.textContent = library.tabLabel || library.name;
+    tab.classList.toggle('active', library.id === activeLib);
+    tabsElement.appendChild(tab);
+
+    const container = document.createElement('div');
+    container.id = `map-${library.id}`;
+    container.className = 'map';
+    container.dataset.label = library.tabLabel || library.name;
+    container.classList.toggle('active', library.id === activeLib);
+    mapContainer.appendChild(container);
+  });
+}
+
 function initMaps() {
-  // Initialize all four maps
-  maplibreMap = maplibreModule.initMap();
-  openlayersMap = openlayersModule.initMap();
-  leafletMap = leafletModule.initMap();
-  deckglMap = deckglModule.initMap();
+  // Initialize every registered map in its generated container
+  getLibraries().forEach(adapter => {
+    adapter.initMap(document.getElementById(`map-${adapter.library.id}`));
+  });
 
   // Store base points for animation (must match getAllData count)
   basePoints = featureData.points;
@@ -92,10 +139,6 @@ function updateFeatureCount() {
 
 function setupTabs() {
   const tabs = document.querySelectorAll('.tab');
-  const maplibreContainer = document.getElementById('map-maplibre');
-  const openlayersContainer = document.getElementById('map-openlayers');
-  const leafletContainer = document.getElementById('map-leaflet');
-  const deckglContainer = document.getElementById('map-deckgl');
 
   tabs.forEach(tab => {
     tab.addEventListener('click', () => {
@@ -106,31 +149,13 @@ function setupTabs() {
       tab.classList.add('active');
 
       // Switch map visibility
-      maplibreContainer.classList.remove('active');
-      openlayersContainer.classList.remove('active');
-      leafletContainer.classList.remove('active');
-      deckglContainer.classList.remove('active');
-
-      if (tabName === 'maplibre') {
-        maplibreContainer.classList.add('active');
-        activeLib = 'maplibre';
-        // Trigger resize to recalculate viewport after becoming visible
-        setTimeout(() => maplibreMap.resize(), 0);
-      } else if (tabName === 'openlayers') {
-        openlayersContainer.classList.add('active');
-        activeLib = 'openlayers';
-        // Trigger resize to recalculate viewport after becoming visible
-        setTimeout(() => openlayersMap.updateSize(), 0);
-      } else if (tabName === 'leaflet') {
-        leafletContainer.classList.add('active');
-        activeLib = 'leaflet';
-        // Trigger resize to recalculate viewport after becoming visible
-        setTimeout(() => leafletMap.invalidateSize(), 0);
-      } else if (tabName === 'deckgl') {
-        deckglContainer.classList.add('active');
-        activeLib = 'deckgl';
-        // Deck.gl handles resize automatically via ResizeObserver
-      }
+      getLibraryIds().forEach(lib => {
+        document.getElementById(`map-${lib}`).classList.toggle('active', lib === tabName);
+      });
+      activeLib = tabName;
+
+      // Trigger resize to recalculate viewport after becoming visible
+      setTimeout(() => getLibrary(activeLib).resize(), 0);
 
       // Update code snippet for current layer selection
       updateCodeSnippetForActiveLayer();
@@ -138,6 +163,69 @@ function setupTabs() {
   });
 }
 
+function setupCompareMode() {
+  document.getElementById('compare-btn').addEventListener('click', () => setCompareMode(!compareMode));
+
+  // Whichever map the user starts to pan or zoom leads the others
+  getLibraryIds().forEach(lib => {
+    const container = document.getElementById(`map-${lib}`);
+    ['pointerdown', 'touchstart', 'wheel'].forEach(type => {
+      container.addEventListener(type, () => { cameraLeader = lib; }, { capture: true, passive: true });
+    });
+  });
+}
+
+function setCompareMode(enabled) {
+  const btn = document.getElementById('compare-btn');
+  const mapContainer = document.getElementById('map-container');
+
+  compareMode = enabled;
+  btn.classList.toggle('active', enabled);
+  btn.setAttribute('aria-pressed', String(enabled));
+  btn.textContent = enabled ? 'Single Map' : 'Compare All';
+
+  // Grid as square as possible: 2×2 for four maps, 3×2 for six
+  mapContainer.style.setProperty('--compare-columns', Math.ceil(Math.sqrt(getLibraryIds().length)));
+  mapContainer.classList.toggle('compare', enabled);
+
+  cancelAnimationFrame(cameraSyncId);
+  cameraSyncId = null;
+  if (enabled) {
+    // Start every map from the active map's camera
+    cameraLeader = activeLib;
+    lastSyncedView = null;
+    cameraSyncId = requestAnimationFrame(syncCameras);
+  }
+
+  // Every map changed size (the hidden ones keep their last size)
+  setTimeout(() => getLibraries().forEach(adapter => adapter.resize()), 0);
+}
+
+// Copy the leading map's camera to the others once per frame when it moved.
+// Views go through the 256px-tile convention so MapLibre / Deck.gl (512px
+// tiles) show the same extent; Leaflet snaps to whole zoom levels.
+function syncCameras() {
+  const leader = getLibrary(cameraLeader);
+  const view = fromNativeView(leader.getView(), leader.capabilities);
+
+  if (!isSameView(view, lastSyncedView)) {
+    lastSyncedView = view;
+    getLibraries()
+      .filter(adapter => adapter !== leader)
+      .forEach(adapter => adapter.setView(toNativeView(view, adapter.capabilities)));
+  }
+
+  cameraSyncId = requestAnimationFrame(syncCameras);
+}
+
+function isSameView(a, b) {
+  return Boolean(a && b) &&
+    a.center[0] === b.center[0] &&
+    a.center[1] === b.center[1] &&
+    a.zoom === b.zoom &&
+    a.bearing === b.bearing;
+}
+
 function setupLayerControls() {
   const controls = {
     'layer-points': 'points',
@@ -155,11 +243,8 @@ function setupLayerControls() {
       const visible = e.target.checked;
       layerState[layerId] = visible;
 
-      // Update all four maps
-      maplibreModule.setLayerVisibility(layerId, visible);
-      openlayersModule.setLayerVisibility(layerId, visible);
-      leafletModule.setLayerVisibility(layerId, visible);
-      deckglModule.setLayerVisibility(layerId, visible);
+      // Update all maps
+      getLibraries().forEach(adapter => adapter.setLayerVisibility(layerId, visible));
 
       // Special handling: clustering replaces regular points
       if (layerId === 'cluster') {
@@ -174,10 +259,7 @@ function setupLayerControls() {
         const clusterCheckbox = document.getElementById('layer-cluster');
         clusterCheckbox.checked = false;
         layerState.cluster = false;
-        maplibreModule.setLayerVisibility('cluster', false);
-        openlayersModule.setLayerVisibility('cluster', false);
-        leafletModule.setLayerVisibility('cluster', false);
-        deckglModule.setLayerVisibility('cluster', false);
+        getLibraries().forEach(adapter => adapter.setLayerVisibility('cluster', false));
       }
 
       // Update code snippet
@@ -216,10 +298,7 @@ function setupPointCountPills() {
       basePoints = newPoints;
 
       // Update all maps
-      maplibreModule.setPointsData(newPoints);
-      openlayersModule.setPointsData(newPoints);
-      leafletModule.setPointsData(newPoints);
-      deckglModule.setPointsData(newPoints);
+      getLibraries().forEach(adapter => adapter.setPointsData(newPoints));
 
       // Update UI
       pointCountLabel.textContent = count.toLocaleString();
@@ -277,11 +356,8 @@ function startAnimation() {
       })
     };
 
-    // Update all four maps
-    maplibreModule.updatePointPositions(animatedPoints);
-    openlayersModule.updatePointPositions(animatedPoints);
-    leafletModule.updatePointPositions(animatedPoints);
-    deckglModule.updatePointPositions(animatedPoints);
+    // Update all maps
+    getLibraries().forEach(adapter => adapter.updatePointPositions(animatedPoints));
 
     animationId = requestAnimationFrame(animate);
   }
@@ -297,10 +373,7 @@ function stopAnimation() {
   }
 
   // Reset to original positions
-  maplibreModule.updatePointPositions(basePoints);
-  openlayersModule.updatePointPositions(basePoints);
-  leafletModule.updatePointPositions(basePoints);
-  deckglModule.updatePointPositions(basePoints);
+  getLibraries().forEach(adapter => adapter.updatePointPositions(basePoints));
 }
 
 function updateCodeSnippetForActiveLayer() {
@@ -316,20 +389,10 @@ function updateCodeSnippetForActiveLayer() {
 
 function updateCodeSnippet(layerId) {
   const codeElement = document.getElementById('code-snippet');
-  let module;
-
-  if (activeLib === 'maplibre') {
-    module = maplibreModule;
-  } else if (activeLib === 'openlayers') {
-    module = openlayersModule;
-  } else if (activeLib === 'leaflet') {
-    module = leafletModule;
-  } else if (activeLib === 'deckgl') {
-    module = deckglModule;
-  }
+  const adapter = getLibrary(activeLib);
 
-  if (module && module.codeSnippets[layerId]) {
-    codeElement.textContent = module.codeSnippets[layerId];
+  if (adapter && adapter.codeSnippets[layerId]) {
+    codeElement.textContent = adapter.codeSnippets[layerId];
   }
 }
 
@@ -471,38 +534,111 @@ function setupResizeHandler() {
   window.addEventListener('resize', () => {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
-      // Re-trigger map resize for active library
-      if (activeLib === 'maplibre' && maplibreMap) {
-        maplibreMap.resize();
-      } else if (activeLib === 'openlayers' && openlayersMap) {
-        openlayersMap.updateSize();
-      } else if (activeLib === 'leaflet' && leafletMap) {
-        leafletMap.invalidateSize();
-      }
+      // Re-trigger map resize for the visible maps
+      (compareMode ? getLibraries() : [getLibrary(activeLib)]).forEach(adapter => adapter.resize());
     }, 200);
   });
 }
 
+// Run the adapter conformance suite (open the app with ?conformance). For the
+// headless runner (scripts/conformance.js), window.mapConformance.done turns
+// true and `results` / `error` are set when it finishes
+async function runAdapterConformance() {
+  const hook = { done: false, results: null, error: null };
+  window.mapConformance = hook;
+
+  try {
+    const adapters = Object.fromEntries(getLibraries().map(adapter => [adapter.library.id, adapter]));
+    const results = await runConformance(adapters, {
+      layerState,
+      points: featureData.points
+    });
+    const failures = results.filter(result => !result.passed);
+
+    console.table(results);
+    if (failures.length > 0) {
+      console.error(`Adapter conformance: ${failures.length} of ${results.length} checks failed`);
+    } else {
+      console.info(`Adapter conformance: all ${results.length} checks passed`);
+    }
+    hook.results = results;
+  } catch (error) {
+    console.error('Adapter conformance could not run:', error);
+    hook.error = error.message;
+  }
+  hook.done = true;
+}
+
+// Hook for the headless runner (scripts/bench.js, open the app with ?bench):
+// the ids it accepts are listed for checking options up front, and
+// window.mapBenchmark.start(config) runs the benchmark without the modal;
+// `done` turns true and `report` / `error` are set when it finishes
+function exposeBenchmarkHook() {
+  const hook = {
+    libraries: getLibraryIds(),
+    scenarios: SCENARIOS.map(scenario => scenario.id),
+    viewports: VIEWPORT_PRESETS.map(preset => preset.id),
+    modes: MEASUREMENT_MODES,
+    done: false,
+    report: null,
+    error: null,
+
+    async start(config = {}) {
+      Object.assign(hook, { done: false, report: null, error: null });
+      try {
+        await Promise.all(getLibraries().map(adapter => adapter.whenReady()));
+        await runBenchmark(({ scenario, library, pointCount, countUnit, testNumber, totalTests }) => {
+          console.info(`[bench] ${testNumber}/${totalTests} ${scenario} · ${library} · ${pointCount.toLocaleString()} ${countUnit}`);
+        }, config, layerState);
+        hook.report = JSON.parse(reportToJSON(getBenchmarkReport()));
+      } catch (error) {
+        hook.error = error.message;
+      }
+      hook.done = true;
+    }
+  };
+
+  window.mapBenchmark = hook;
+}
+
 // ==========================================
 // BENCHMARK FEATURE
 // ==========================================
 
 let benchmarkChart = null;
+let histogramChart = null;
+let timelineChart = null;
+let viewportChart = null;
+let selectedScenario = null;   // Scenario whose results are shown
+let selectedMetric = 'fps';
+let shownReport = null;        // Report in the results view (last run, saved run or opened file)
+let comparedReports = [];      // Imported reports overlaid on shownReport
+let importMode = 'compare';    // What the file picker is for: 'open' or 'compare'
+
+// Point counts offered as checkboxes in the settings (custom ones can be typed)
+const PRESET_POINT_COUNTS = [500, 1000, 5000, 10000, 50000, 100000];
 
 function setupBenchmark() {
   const benchmarkBtn = document.getElementById('benchmark-btn');
   const benchmarkModal = document.getElementById('benchmark-modal');
+  const startBtn = document.getElementById('benchmark-start');
+  const setupCancelBtn = document.getElementById('benchmark-setup-cancel');
   const cancelBtn = document.getElementById('benchmark-cancel-btn');
   const closeModalBtn = document.getElementById('benchmark-close');
   const closeResultsBtn = document.getElementById('close-results');
+  const setupSection = document.getElementById('benchmark-setup');
   const progressSection = document.getElementById('benchmark-progress');
   const resultsSection = document.getElementById('benchmark-results');
   const metricBtns = document.querySelectorAll('.metric-btn');
 
   if (!benchmarkBtn || !benchmarkModal) return;
 
-  // Start benchmark
-  benchmarkBtn.addEventListener('click', async () => {
+  renderBenchmarkSettings();
+  setupSection.addEventListener('input', updateRunEstimate);
+  setupSection.addEventListener('change', updateRunEstimate);
+
+  // Open the modal on the scenario picker
+  benchmarkBtn.addEventListener('click', () => {
     // Stop any running animation
     if (isAnimating) {
       stopAnimation();
@@ -510,24 +646,39 @@ function setupBenchmark() {
       document.getElementById('animate-btn').classList.remove('active');
     }
 
+    // The benchmark measures one map at a time
+    if (compareMode) setCompareMode(false);
+
     // Disable controls
     disableControls(true);
 
-    // Show modal with progress
     benchmarkModal.classList.add('active');
-    progressSection.style.display = 'block';
+    setupSection.style.display = 'block';
+    progressSection.style.display = 'none';
     resultsSection.style.display = 'none';
+    document.getElementById('benchmark-history').style.display = 'none';
+  });
 
-    try {
-      const results = await runBenchmark(updateProgress);
-
-      // Show results
-      progressSection.style.display = 'none';
-      resultsSection.style.display = 'block';
+  // Start benchmark with the chosen settings
+  startBtn.addEventListener('click', async () => {
+    const config = readBenchmarkSettings();
+    if (!config) return;
 
-      // Initialize chart
-      initBenchmarkChart(results, 'fps');
+    // Show progress
+    setupSection.style.display = 'none';
+    progressSection.style.display = 'block';
 
+    try {
+      await runBenchmark(updateProgress, config, layerState);
+
+      const report = getBenchmarkReport();
+      let runId = null;
+      try {
+        runId = await saveRun(report);
+      } catch (error) {
+        console.warn('Could not save the run to the history:', error);
+      }
+      showReport(report, await getBaselineReports(runId));
     } catch (error) {
       if (error.message !== 'Benchmark cancelled') {
         console.error('Benchmark error:', error);
@@ -536,6 +687,11 @@ function setupBenchmark() {
     }
   });
 
+  // Close the scenario picker without running
+  setupCancelBtn.addEventListener('click', () => {
+    closeBenchmarkModal();
+  });
+
   // Cancel benchmark
   cancelBtn.addEventListener('click', () => {
     cancelBenchmark();
@@ -552,30 +708,408 @@ function setupBenchmark() {
     closeBenchmarkModal();
   });
 
+  // Export the shown run
+  document.getElementById('download-json').addEventListener('click', () => {
+    downloadFile(`${reportFileName(shownReport)}.json`, reportToJSON(shownReport), 'application/json');
+  });
+
+  document.getElementById('download-csv').addEventListener('click', () => {
+    downloadFile(`${reportFileName(shownReport)}.csv`, reportToCSV(shownReport), 'text/csv');
+  });
+
+  // Import saved reports: open one instead of running, or compare with the shown run
+  const importInput = document.getElementById('import-file');
+
+  document.getElementById('open-results').addEventListener('click', () => {
+    importMode = 'open';
+    importInput.click();
+  });
+
+  document.getElementById('compare-results').addEventListener('click', () => {
+    importMode = 'compare';
+    importInput.click();
+  });
+
+  importInput.addEventListener('change', async () => {
+    const files = [...importInput.files];
+    importInput.value = '';  // Allow picking the same file again
+    if (files.length > 0) await importReports(files);
+  });
+
+  // History of saved runs, opened from the settings or the results view
+  let historyReturnSection = setupSection;
+
+  document.querySelectorAll('.history-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      historyReturnSection = resultsSection.style.display === 'block' ? resultsSection : setupSection;
+      historyReturnSection.style.display = 'none';
+      document.getElementById('benchmark-history').style.display = 'block';
+      renderHistory();
+    });
+  });
+
+  document.getElementById('history-back').addEventListener('click', () => {
+    document.getElementById('benchmark-history').style.display = 'none';
+    historyReturnSection.style.display = 'block';
+  });
+
   // Metric toggle buttons
   metricBtns.forEach(btn => {
     btn.addEventListener('click', () => {
       metricBtns.forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
 
-      const metric = btn.dataset.metric;
-      const results = getBenchmarkResults();
-      updateChartMetric(results, metric);
+      selectedMetric = btn.dataset.metric;
+      updateChartMetric(selectedMetric);
     });
   });
 
-  // Backdrop click to close (only if results showing)
+  // Backdrop click to close (only if not running)
   benchmarkModal.querySelector('.modal-backdrop').addEventListener('click', () => {
-    if (resultsSection.style.display !== 'none') {
+    if (progressSection.style.display === 'none') {
       closeBenchmarkModal();
     }
   });
 }
 
-function updateProgress({ library, pointCount, iteration, totalIterations, testNumber, totalTests, progress }) {
+// Format a point count for labels (1000 -> 1K)
+function formatCount(count) {
+  return count >= 1000 ? `${count / 1000}K` : count.toString();
+}
+
+// Fill the settings panel with checkboxes and the default configuration
+function renderBenchmarkSettings() {
+  const defaults = getDefaultConfig();
+  const checkbox = (value, label, checked) => `
+    <label class="settings-checkbox">
+      <input type="checkbox" value="${value}" ${checked ? 'checked' : ''}>
+      ${label}
+    </label>
+  `;
+
+  document.getElementById('scenario-options').innerHTML = SCENARIOS.map(scenario => `
+    <label class="scenario-option">
+      <input type="checkbox" value="${scenario.id}" ${defaults.scenarioIds.includes(scenario.id) ? 'checked' : ''}>
+      <span>
+        <span class="scenario-name">${scenario.name}</span>
+        <span class="scenario-detail">${scenario.description}</span>
+      </span>
+    </label>
+  `).join('');
+
+  document.getElementById('library-options').innerHTML = getLibraries()
+    .map(({ library }) => checkbox(library.id, library.name, defaults.libraries.includes(library.id)))
+    .join('');
+
+  document.getElementById('count-options').innerHTML = PRESET_POINT_COUNTS
+    .map(count => checkbox(count, formatCount(count), defaults.pointCounts.includes(count)))
+    .join('');
+
+  document.getElementById('viewport-options').innerHTML = VIEWPORT_PRESETS
+    .map(preset => checkbox(preset.id, `${preset.name} (${formatViewport(preset)})`, defaults.viewportIds.includes(preset.id)))
+    .join('');
+
+  document.getElementById('setting-iterations').value = defaults.iterations;
+  document.getElementById('setting-warmup').value = defaults.warmupMs / 1000;
+  document.getElementById('setting-duration').value = defaults.durationMs / 1000;
+  document.getElementById('setting-seed').value = defaults.seed;
+  document.getElementById('setting-mode').value = defaults.mode;
+
+  updateRunEstimate();
+}
+
+function getCheckedValues(containerId) {
+  return [...document.querySelectorAll(`#${containerId} input:checked`)].map(input => input.value);
+}
+
+// Parse "25K, 200000" into [25000, 200000]; null if any entry is invalid
+function parseCustomCounts(text) {
+  const entries = text.split(/[\s,]+/).filter(Boolean);
+  const counts = entries.map(entry => {
+    const match = /^(\d+(?:\.\d+)?)(k?)$/i.exec(entry);
+    return match ? Math.round(Number(match[1]) * (match[2] ? 1000 : 1)) : NaN;
+  });
+  return counts.every(count => Number.isInteger(count) && count > 0) ? counts : null;
+}
+
+// Read the settings panel into a benchmark config
+// Returns null (and explains why in the estimate line) when it is invalid
+function readBenchmarkSettings() {
+  const estimate = document.getElementById('run-estimate');
+  const customCounts = parseCustomCounts(document.getElementById('custom-counts').value);
+  const iterations = Number(document.getElementById('setting-iterations').value);
+  const warmupSeconds = Number(document.getElementById('setting-warmup').value);
+  const durationSeconds = Number(document.getElementById('setting-duration').value);
+  const seed = Number(document.getElementById('setting-seed').value);
+
+  const config = {
+    scenarioIds: getCheckedValues('scenario-options'),
+    libraries: getCheckedValues('library-options'),
+    pointCounts: [...new Set([...getCheckedValues('count-options').map(Number), ...(customCounts || [])])]
+      .sort((a, b) => a - b),
+    iterations,
+    warmupMs: warmupSeconds * 1000,
+    durationMs: durationSeconds * 1000,
+    seed,
+    mode: document.getElementById('setting-mode').value,
+    viewportIds: getCheckedValues('viewport-options')
+  };
+
+  let error = null;
+  if (config.scenarioIds.length === 0) error = 'Select at least one scenario';
+  else if (config.libraries.length === 0) error = 'Select at least one library';
+  else if (!customCounts) error = 'Custom counts must be positive numbers like 25K or 200000';
+  else if (config.pointCounts.length === 0) error = 'Select at least one point count';
+  else if (!Number.isInteger(iterations) || iterations < 1) error = 'Iterations must be a whole number of at least 1';
+  else if (!(warmupSeconds >= 0)) error = 'Warmup must be 0 seconds or more';
+  else if (!(durationSeconds >= 1)) error = 'Duration must be at least 1 second';
+  else if (!Number.isInteger(seed)) error = 'Seed must be a whole number';
+
+  estimate.classList.toggle('invalid', Boolean(error));
+  if (error) {
+    estimate.textContent = error;
+    return null;
+  }
+  return config;
+}
+
+// Show how long the chosen settings will take and block invalid ones
+function updateRunEstimate() {
+  const config = readBenchmarkSettings();
+  document.getElementById('benchmark-start').disabled = !config;
+  if (!config) return;
+
+  const totalSeconds = Math.round(estimateRunTime(config) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  document.getElementById('run-estimate').textContent =
+    `Estimated run time: ${minutes > 0 ? `${minutes} min ` : ''}${seconds} s`;
+}
+
+// Switch the modal to the results view for a report
+function showReport(report, compared = []) {
+  shownReport = report;
+  comparedReports = compared;
+
+  document.getElementById('benchmark-setup').style.display = 'none';
+  document.getElementById('benchmark-progress').style.display = 'none';
+  document.getElementById('benchmark-history').style.display = 'none';
+  document.getElementById('benchmark-results').style.display = 'block';
+
+  renderEnvironment(report.environment);
+
+  // Initialize chart with the first scenario
+  renderScenarioToggle(report.results);
+  setupViewToggle();
+  resetViewToLeaderboard();
+  showScenarioResults(Object.keys(report.results)[0]);
+}
+
+// Environment fingerprint of the shown run (older reports lack some fields)
+function renderEnvironment(environment) {
+  const size = value => value ? `${value.width} × ${value.height}` : null;
+  const rows = [
+    ['Device pixel ratio', environment.devicePixelRatio],
+    ['Viewport', size(environment.viewport)],
+    ['Map size', size(environment.mapSize)],
+    ['CPU cores', environment.hardwareConcurrency],
+    ['GPU', environment.gpu ? `${environment.gpu.renderer} (${environment.gpu.vendor})` : null],
+    ['Refresh rate', environment.refreshRate ? `~${environment.refreshRate} Hz` : null],
+    ['Libraries', Object.entries(environment.libraryVersions ?? {})
+      .map(([name, version]) => `${name} ${version}`).join(', ')],
+    ['User agent', environment.userAgent]
+  ];
+
+  document.getElementById('environment-list').innerHTML = rows.map(([label, value]) => `
+    <dt>${label}</dt>
+    <dd>${escapeHtml(value === null || value === undefined || value === '' ? 'unknown' : String(value))}</dd>
+  `).join('');
+}
+
+// Read saved JSON reports; files that fail to parse are listed in the status line
+async function importReports(files) {
+  const status = document.getElementById('import-status');
+  const reports = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      const report = parseReport(await file.text());
+      report.label = file.name.replace(/\.json$/i, '');
+      reports.push(report);
+    } catch (error) {
+      errors.push(`${file.name}: ${error.message}`);
+    }
+  }
+
+  status.textContent = errors.length > 0 ? `Could not import ${errors.join('; ')}` : '';
+  if (reports.length === 0) return;
+
+  if (importMode === 'open') {
+    showReport(reports[0], reports.slice(1));
+  } else {
+    comparedReports.push(...reports);
+    showScenarioResults(selectedScenario);
+  }
+}
+
+// Name of an imported run in legends and tables
+function getReportLabel(report) {
+  return report.label || new Date(report.startedAt).toLocaleString();
+}
+
+// User-entered names, browser strings and imported reports end up in innerHTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// The baseline run as a report to compare with, unless it is the run shown
+async function getBaselineReports(runId) {
+  try {
+    const baseline = await getBaselineRun();
+    if (!baseline || baseline.id === runId) return [];
+    return [{ ...baseline.report, label: `Baseline: ${baseline.name}` }];
+  } catch (error) {
+    console.warn('Could not read the baseline run:', error);
+    return [];
+  }
+}
+
+// One line describing where and how a saved run was measured
+function describeRun({ report }) {
+  const { environment, config } = report;
+  return [
+    new Date(report.startedAt).toLocaleString(),
+    `${config.scenarioIds.length} scenario${config.scenarioIds.length === 1 ? '' : 's'}`,
+    `${config.libraries.length} libraries`,
+    `${config.iterations} × ${config.durationMs / 1000} s`,
+    isThroughputReport(report) ? 'throughput' : null,
+    environment.gpu?.renderer ?? 'unknown GPU',
+    environment.userAgent
+  ].filter(Boolean).join(' · ');
+}
+
+// IndexedDB errors (quota, private browsing) are shown above the list
+function showHistoryError(action, error) {
+  console.error(`Could not ${action}:`, error);
+  document.getElementById('history-status').textContent = `Could not ${action}: ${error.message}`;
+}
+
+async function renderHistory() {
+  const list = document.getElementById('history-list');
+  let runs;
+  try {
+    runs = await listRuns();
+  } catch (error) {
+    list.innerHTML = '';
+    document.getElementById('history-empty').textContent = `History is unavailable: ${error.message}`;
+    return;
+  }
+
+  const baselineId = getBaselineId();
+  document.getElementById('history-status').textContent = '';
+  document.getElementById('history-empty').style.display = runs.length > 0 ? 'none' : 'block';
+
+  list.innerHTML = runs.map(run => `
+    <div class="history-item ${run.id === baselineId ? 'baseline' : ''}" data-id="${run.id}">
+      <input type="text" class="settings-input history-name" value="${escapeHtml(run.name)}" aria-label="Run name">
+      <div class="history-meta">${escapeHtml(describeRun(run))}</div>
+      <div class="history-actions">
+        <button class="export-btn" data-action="open">Open</button>
+        ${run.id === baselineId
+          ? '<button class="export-btn" data-action="clear-baseline">Clear Baseline</button><span class="history-baseline-tag">Baseline</span>'
+          : '<button class="export-btn" data-action="baseline">Use as Baseline</button>'}
+        <button class="export-btn" data-action="delete">Delete</button>
+      </div>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.history-item').forEach(item => {
+    const id = Number(item.dataset.id);
+
+    item.querySelector('.history-name').addEventListener('change', (e) => {
+      renameRun(id, e.target.value.trim() || new Date().toLocaleString())
+        .catch(error => showHistoryError('rename the run', error));
+    });
+
+    item.querySelectorAll('[data-action]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          switch (btn.dataset.action) {
+            case 'open': {
+              const run = await getRun(id);
+              if (run) showReport({ ...run.report, label: run.name }, await getBaselineReports(id));
+              return;
+            }
+            case 'baseline':
+              setBaselineId(id);
+              break;
+            case 'clear-baseline':
+              setBaselineId(null);
+              break;
+            case 'delete':
+              if (!confirm(`Delete "${item.querySelector('.history-name').value}" from the history?`)) return;
+              await deleteRun(id);
+              break;
+          }
+        } catch (error) {
+          showHistoryError(`${btn.textContent.trim().toLowerCase()} (${item.querySelector('.history-name').value})`, error);
+          return;
+        }
+        renderHistory();
+      });
+    });
+  });
+}
+
+// Scenario name of a result key, with the viewport preset it ran at
+function getResultLabel(key) {
+  const { scenarioId, viewportId } = parseResultKey(key);
+  const name = getScenario(scenarioId)?.name ?? scenarioId;
+  const viewport = shownReport.viewports?.[viewportId];
+  return viewport ? `${name} · ${formatViewport(viewport)}` : name;
+}
+
+// One button per scenario (and viewport preset) that ran
+function renderScenarioToggle(results) {
+  const toggle = document.getElementById('scenario-toggle');
+
+  toggle.innerHTML = Object.keys(results).map(key => `
+    <button class="scenario-btn" data-scenario="${escapeHtml(key)}">${escapeHtml(getResultLabel(key))}</button>
+  `).join('');
+
+  toggle.querySelectorAll('.scenario-btn').forEach(btn => {
+    btn.addEventListener('click', () => showScenarioResults(btn.dataset.scenario));
+  });
+}
+
+// Show the leaderboard and chart for one scenario
+function showScenarioResults(scenarioId) {
+  selectedScenario = scenarioId;
+
+  document.querySelectorAll('.scenario-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.scenario === scenarioId);
+  });
+
+  const scenario = getScenario(parseResultKey(scenarioId).scenarioId);
+  const results = shownReport.results[scenarioId];
+  const skipped = shownReport.config.libraries.filter(lib => !results[lib]);
+  const failed = getFailures(results);
+
+  document.getElementById('scenario-description').textContent = (scenario?.description ?? scenarioId) +
+    (skipped.length > 0 ? ` (skipped: ${skipped.map(lib => `${shownReport.libraries[lib].name}, ${getSkipReason(scenarioId, lib)}`).join('; ')})` : '') +
+    (failed.length > 0 ? ` (failed: ${failed.map(({ lib, reason }) => `${shownReport.libraries[lib].name}, ${reason}`).join('; ')})` : '');
+
+  initBenchmarkChart(scenarioId, selectedMetric, scenario?.countLabel ?? 'Count');
+  renderDistributionOptions(scenarioId, scenario?.countUnit ?? '');
+  renderViewportOptions(scenario?.countUnit ?? '');
+}
+
+function updateProgress({ scenario, library, pointCount, countUnit, iteration, totalIterations, testNumber, totalTests, progress }) {
+  document.getElementById('benchmark-scenario').textContent = scenario;
   document.getElementById('benchmark-library').textContent = library;
   document.getElementById('benchmark-points').textContent =
-    pointCount.toLocaleString() + ' points';
+    `${pointCount.toLocaleString()} ${countUnit}`;
   document.getElementById('benchmark-status').textContent =
     `Iteration ${iteration}/${totalIterations} - Test ${testNumber} of ${totalTests}`;
   document.getElementById('benchmark-progress-fill').style.width = `${progress}%`;
@@ -585,15 +1119,18 @@ function disableControls(disabled) {
   const controls = document.querySelector('.controls');
   const tabs = document.querySelector('.tabs');
   const benchmarkBtn = document.getElementById('benchmark-btn');
+  const compareBtn = document.getElementById('compare-btn');
 
   if (disabled) {
     controls.classList.add('disabled');
     tabs.classList.add('disabled');
     benchmarkBtn.disabled = true;
+    compareBtn.disabled = true;
   } else {
     controls.classList.remove('disabled');
     tabs.classList.remove('disabled');
     benchmarkBtn.disabled = false;
+    compareBtn.disabled = false;
   }
 }
 
@@ -603,13 +1140,21 @@ function closeBenchmarkModal() {
   disableControls(false);
   resetBenchmark();
 
-  // Destroy chart to free memory
+  // Destroy charts to free memory
   if (benchmarkChart) {
     benchmarkChart.destroy();
     benchmarkChart = null;
   }
+  destroyDistributionCharts();
+  viewportChart?.destroy();
+  viewportChart = null;
 
   // Reset metric buttons
+  selectedScenario = null;
+  selectedMetric = 'fps';
+  shownReport = null;
+  comparedReports = [];
+  document.getElementById('import-status').textContent = '';
   const metricBtns = document.querySelectorAll('.metric-btn');
   metricBtns.forEach(btn => {
     btn.classList.toggle('active', btn.dataset.metric === 'fps');
@@ -619,11 +1164,55 @@ function closeBenchmarkModal() {
   resetViewToLeaderboard();
 }
 
-function initBenchmarkChart(results, metric) {
+// Chart lines for one scenario: the shown run solid, imported runs dashed
+function getChartDatasets(scenarioId, counts, metric) {
+  const runs = [shownReport, ...comparedReports].filter(report => report.results[scenarioId]);
+
+  return runs.flatMap((report, runIndex) => {
+    const results = report.results[scenarioId];
+
+    return Object.keys(results).map(lib => {
+      const { name, color } = report.libraries[lib];
+      return {
+        label: runIndex === 0 ? name : `${name} (${getReportLabel(report)})`,
+        data: counts.map(count => getMetricValue(results, lib, count, metric)),
+        borderColor: color,
+        backgroundColor: color + '33', // 20% opacity
+        borderWidth: runIndex === 0 ? 3 : 2,
+        borderDash: runIndex === 0 ? [] : [6, 4],
+        pointRadius: runIndex === 0 ? 6 : 4,
+        pointHoverRadius: 8,
+        tension: 0.3,
+        spanGaps: true,
+        fill: false,
+        // Used by the tooltip and metric switch
+        results,
+        lib
+      };
+    });
+  });
+}
+
+// Point counts measured by the shown run and the compared runs, ascending
+function getChartCounts(scenarioId) {
+  const counts = new Set();
+  [shownReport, ...comparedReports].forEach(report => {
+    const results = report.results[scenarioId];
+    if (results) getResultCounts(results).forEach(count => counts.add(count));
+  });
+  return [...counts].sort((a, b) => a - b);
+}
+
+function initBenchmarkChart(scenarioId, metric, countLabel) {
   // Render leaderboard first (shown by default)
-  renderLeaderboard(results);
-  setupViewToggle();
-  resetViewToLeaderboard();
+  const results = getScoredResults(shownReport.results[scenarioId]);
+  renderLeaderboard(results, shownReport.libraries, getScoreBasis(shownReport, results), getFpsUnit(shownReport));
+  document.getElementById('score-basis').textContent = isThroughputReport(shownReport)
+    ? 'Throughput run: frames are drawn back to back with renderSync(), so rates are renders per second; scores are relative to the fastest library'
+    : shownReport.environment?.refreshRate
+      ? `Scores are relative to the ${shownReport.environment.refreshRate} Hz display the run was measured on; headroom is the share of the frame budget left unused`
+      : `Display refresh rate unknown, scores assume ${DEFAULT_REFRESH_RATE} Hz`;
+  renderComparisonTables(scenarioId);
 
   const ctx = document.getElementById('benchmark-chart').getContext('2d');
 
@@ -632,22 +1221,13 @@ function initBenchmarkChart(results, metric) {
     benchmarkChart.destroy();
   }
 
-  const datasets = LIBRARIES.map(lib => ({
-    label: LIBRARY_NAMES[lib],
-    data: POINT_COUNTS.map(count => getMetricValue(results, lib, count, metric)),
-    borderColor: LIBRARY_COLORS[lib],
-    backgroundColor: LIBRARY_COLORS[lib] + '33', // 20% opacity
-    borderWidth: 3,
-    pointRadius: 6,
-    pointHoverRadius: 8,
-    tension: 0.3,
-    fill: false
-  }));
+  const counts = getChartCounts(scenarioId);
+  const datasets = getChartDatasets(scenarioId, counts, metric);
 
   benchmarkChart = new Chart(ctx, {
     type: 'line',
     data: {
-      labels: POINT_COUNTS.map(c => c >= 1000 ? `${c / 1000}K` : c.toString()),
+      labels: counts.map(formatCount),
       datasets
     },
     options: {
@@ -672,23 +1252,57 @@ function initBenchmarkChart(results, metric) {
           padding: 12,
           callbacks: {
             label: (context) => {
-              const lib = LIBRARIES[context.datasetIndex];
-              const count = POINT_COUNTS[context.dataIndex];
+              const { results, lib } = context.dataset;
+              const count = counts[context.dataIndex];
               const data = results[lib][count].combined;
 
-              if (metric === 'fps') {
+              if (selectedMetric === 'fps') {
                 const iterations = data.iterationDetails;
                 const fpsRange = iterations.map(i => i.medianFps || i.avgFps);
+                const fpsUnit = getFpsUnit(shownReport);
                 return [
-                  `${context.dataset.label}: ${data.medianFps} FPS (median)`,
-                  `  Range: ${Math.min(...fpsRange)}-${Math.max(...fpsRange)} FPS`,
-                  `  Min/Max: ${data.minFps}/${data.maxFps} FPS`
-                ];
-              } else if (metric === 'frameTime') {
+                  `${context.dataset.label}: ${data.medianFps} ${fpsUnit} (median)`,
+                  data.fpsCi ? `  95% CI: ${data.fpsCi[0]}-${data.fpsCi[1]} ${fpsUnit}` : null,
+                  `  Range: ${Math.min(...fpsRange)}-${Math.max(...fpsRange)} ${fpsUnit}`,
+                  `  Min/Max: ${data.minFps}/${data.maxFps} ${fpsUnit}`
+                ].filter(Boolean);
+              } else if (selectedMetric === 'frameTime') {
                 return [
                   `${context.dataset.label}: ${data.avgFrameTime}ms`,
                   data.totalOutliersExcluded > 0 ? `  ${data.totalOutliersExcluded} outliers excluded` : null
                 ].filter(Boolean);
+              } else if (selectedMetric === 'p95' || selectedMetric === 'p99') {
+                return [
+                  `${context.dataset.label}: ${context.parsed.y}ms (${selectedMetric}, median of iterations)`,
+                  `  p50: ${data.p50FrameTime}ms`
+                ];
+              } else if (selectedMetric === 'dataLoad') {
+                return [
+                  `${context.dataset.label}: ${data.dataLoadTime}ms to first full render`,
+                  `  setPointsData() call: ${data.setDataTime}ms`
+                ];
+              } else if (selectedMetric === 'memory') {
+                return [
+                  `${context.dataset.label}: ${data.memoryPeak} MB peak JS heap`,
+                  `  Before setup: ${data.memoryBefore} MB, after load: ${data.memoryAfterLoad} MB`
+                ];
+              } else if (selectedMetric === 'scriptTime') {
+                return [
+                  `${context.dataset.label}: ${data.scriptTimePerFrame}ms per frame in update calls (median)`,
+                  `  ${data.scriptShare}% of frame time, the rest is the library's own rendering`
+                ];
+              } else if (selectedMetric === 'blocking') {
+                return [
+                  `${context.dataset.label}: ${data.totalBlockingTime}ms total blocking time (median)`,
+                  `  ${data.totalLongTasks} long tasks (all iterations)`
+                ];
+              } else if (selectedMetric === 'inputLatency') {
+                return [
+                  `${context.dataset.label}: ${data.inputLatencyMedian}ms input to render (median)`,
+                  `  p95: ${data.inputLatencyP95}ms, ${data.inputSamples} inputs, ${data.inputMisses} missed`
+                ];
+              } else if (selectedMetric === 'longFrames') {
+                return `${context.dataset.label}: ${data.totalLongFrames} long frames (all iterations)`;
               } else {
                 return [
                   `${context.dataset.label}: ${data.jitter}ms (median)`,
@@ -703,7 +1317,7 @@ function initBenchmarkChart(results, metric) {
         x: {
           title: {
             display: true,
-            text: 'Point Count',
+            text: countLabel,
             color: '#888'
           },
           ticks: { color: '#888' },
@@ -724,13 +1338,13 @@ function initBenchmarkChart(results, metric) {
   });
 }
 
-function updateChartMetric(results, metric) {
+function updateChartMetric(metric) {
   if (!benchmarkChart) return;
 
-  benchmarkChart.data.datasets.forEach((dataset, index) => {
-    const lib = LIBRARIES[index];
-    dataset.data = POINT_COUNTS.map(count =>
-      getMetricValue(results, lib, count, metric)
+  const counts = getChartCounts(selectedScenario);
+  benchmarkChart.data.datasets.forEach(dataset => {
+    dataset.data = counts.map(count =>
+      getMetricValue(dataset.results, dataset.lib, count, metric)
     );
   });
 
@@ -739,21 +1353,79 @@ function updateChartMetric(results, metric) {
   benchmarkChart.update();
 }
 
+// Libraries with combined stats at every count; the others had tests that
+// could not be measured (see getFailures) and are left out of the scores
+function getScoredResults(results) {
+  return Object.fromEntries(Object.entries(results)
+    .filter(([, libResults]) => Object.values(libResults).every(({ combined }) => combined)));
+}
+
+// Why a library has no results for a result key (reports before the reasons
+// were recorded only skipped unsupported libraries)
+function getSkipReason(key, lib) {
+  return shownReport.skipped?.[key]?.[lib] ?? 'not supported';
+}
+
+// First failure reason of every library with unmeasured tests
+function getFailures(results) {
+  return Object.entries(results).flatMap(([lib, libResults]) => {
+    const reason = Object.values(libResults).flatMap(({ failures = [] }) => failures)[0];
+    return reason ? [{ lib, reason }] : [];
+  });
+}
+
+// Point counts a scenario's results were measured at, ascending
+function getResultCounts(results) {
+  const [firstLib] = Object.keys(results);
+  return firstLib ? Object.keys(results[firstLib]).map(Number).sort((a, b) => a - b) : [];
+}
+
+// Whether a report was measured in throughput mode (older reports have no mode)
+function isThroughputReport(report) {
+  return report.config?.mode === 'throughput';
+}
+
+// Unit of the FPS metrics: throughput runs count renders, not display frames
+function getFpsUnit(report) {
+  return isThroughputReport(report) ? 'renders/s' : 'FPS';
+}
+
+// Value plotted for one point, null where the run did not measure it
 function getMetricValue(results, lib, count, metric) {
-  const data = results[lib][count].combined;
+  const data = results[lib]?.[count]?.combined;
+  if (!data) return null;
+
   switch (metric) {
     case 'fps': return data.medianFps;
     case 'frameTime': return data.avgFrameTime;
     case 'jitter': return data.jitter;
+    case 'p95': return data.p95FrameTime ?? null;
+    case 'p99': return data.p99FrameTime ?? null;
+    case 'longFrames': return data.totalLongFrames ?? null;
+    case 'scriptTime': return data.scriptTimePerFrame ?? null;
+    case 'blocking': return data.totalBlockingTime ?? null;
+    case 'memory': return data.memoryPeak ?? null;
+    case 'dataLoad': return data.dataLoadTime ?? null;
+    case 'inputLatency': return data.inputLatencyMedian ?? null;
     default: return data.medianFps;
   }
 }
 
 function getYAxisLabel(metric) {
   switch (metric) {
-    case 'fps': return 'Frames Per Second (higher is better)';
+    case 'fps': return isThroughputReport(shownReport)
+      ? 'Renders Per Second, uncapped (higher is better)'
+      : 'Frames Per Second (higher is better)';
     case 'frameTime': return 'Frame Time in ms (lower is better)';
     case 'jitter': return 'Jitter in ms (lower is better)';
+    case 'p95': return '95th Percentile Frame Time in ms (lower is better)';
+    case 'p99': return '99th Percentile Frame Time in ms (lower is better)';
+    case 'longFrames': return `Frames over ${LONG_FRAME_MS}ms (lower is better)`;
+    case 'scriptTime': return 'Script Time per Frame in ms (lower is better)';
+    case 'blocking': return 'Total Blocking Time in ms (lower is better)';
+    case 'memory': return 'Peak JS Heap in MB (lower is better)';
+    case 'dataLoad': return 'Data Load to First Render in ms (lower is better)';
+    case 'inputLatency': return 'Input to Render Latency in ms (lower is better)';
     default: return 'Value';
   }
 }
@@ -762,24 +1434,54 @@ function getYAxisLabel(metric) {
 // LEADERBOARD FEATURE
 // ==========================================
 
-function calculateLibraryScore(libResults) {
-  const weights = { fps: 0.6, jitter: 0.25, frameTime: 0.15 };
+// Headroom difference (percentage points) that still counts as a tie
+const HEADROOM_TIE_MARGIN = 10;
+
+// Share of the refresh rate a median FPS must reach to count as hitting it
+const REFRESH_RATE_SHARE = 0.95;
+
+// Scores are relative to the display the run was measured on: the frame
+// budget is one refresh interval and full FPS marks are at the refresh rate.
+// Throughput runs are not capped by the display, so there full marks go to
+// the most renders per second measured at each count.
+function getScoreBasis(report, results) {
+  const refreshRate = report.environment?.refreshRate ?? DEFAULT_REFRESH_RATE;
+  const fpsTargets = {};
+  getResultCounts(results).forEach(count => {
+    fpsTargets[count] = isThroughputReport(report)
+      ? Math.max(...Object.values(results).map(libResults => libResults[count]?.combined?.medianFps ?? 0))
+      : refreshRate;
+  });
+  return { frameBudget: 1000 / refreshRate, fpsTargets };
+}
+
+function calculateLibraryScore(libResults, { frameBudget, fpsTargets }) {
+  // Headroom separates libraries that all reach the refresh rate; reports
+  // from before it was measured keep the old weights
+  const hasHeadroom = Object.values(libResults).every(({ combined }) => typeof combined.headroom === 'number');
+  const weights = hasHeadroom
+    ? { fps: 0.45, headroom: 0.15, jitter: 0.25, frameTime: 0.15 }
+    : { fps: 0.6, headroom: 0, jitter: 0.25, frameTime: 0.15 };
+  // Higher counts weigh more; custom counts follow the same log curve
   const countWeights = { 500: 1, 1000: 1.5, 5000: 2, 10000: 3 };
+  const counts = Object.keys(libResults).map(Number);
 
   let totalScore = 0;
   let totalWeight = 0;
 
-  POINT_COUNTS.forEach(count => {
+  counts.forEach(count => {
     const data = libResults[count].combined;
-    const countWeight = countWeights[count];
+    const countWeight = countWeights[count] ?? Math.max(0.25, Math.log10(count / 50));
 
     // Normalize scores (0-100 scale) - use medianFps for more stable scoring
-    const fpsScore = Math.min(data.medianFps / 60, 1) * 100;
+    const fpsScore = fpsTargets[count] > 0 ? Math.min(data.medianFps / fpsTargets[count], 1) * 100 : 0;
+    const headroomScore = hasHeadroom ? Math.min(Math.max(data.headroom, 0), 100) : 0;
     const jitterScore = Math.max(0, 100 - data.jitter * 10);
-    const frameTimeScore = Math.max(0, 100 - Math.max(0, data.avgFrameTime - 16.67) * 1.2);
+    const frameTimeScore = Math.max(0, 100 - Math.max(0, data.avgFrameTime - frameBudget) * 1.2);
 
     const weightedScore =
       fpsScore * weights.fps +
+      headroomScore * weights.headroom +
       jitterScore * weights.jitter +
       frameTimeScore * weights.frameTime;
 
@@ -790,35 +1492,182 @@ function calculateLibraryScore(libResults) {
   return Math.round(totalScore / totalWeight);
 }
 
-function renderLeaderboard(results) {
-  const rankings = LIBRARIES
+// Whether two libraries' median FPS differs significantly at any count
+// (null when the results carry no significance tests, e.g. older reports)
+function differsSignificantly(results, lib, other) {
+  const counts = Object.keys(results[lib]);
+  const tests = counts.map(count => results[lib][count].combined.comparisons?.[other]);
+  if (tests.some(test => !test)) return null;
+  return tests.some(test => test.significant);
+}
+
+// Whether a library's median FPS hits the refresh rate at every count
+function hitsRefreshRate(libResults, { frameBudget }) {
+  const refreshRate = 1000 / frameBudget;
+  return Object.values(libResults).every(({ combined }) => combined.medianFps >= refreshRate * REFRESH_RATE_SHARE);
+}
+
+// Whether two ranked libraries count as tied: their median FPS does not differ
+// significantly at any count and, when both hit the refresh rate, their
+// headroom is at most HEADROOM_TIE_MARGIN apart
+function isTie(results, item, other) {
+  const headroomGap = item.hitsRefreshRate && other.hitsRefreshRate
+    && item.headroom !== null && other.headroom !== null
+    ? Math.abs(item.headroom - other.headroom)
+    : 0;
+  return differsSignificantly(results, item.lib, other.lib) === false && headroomGap <= HEADROOM_TIE_MARGIN;
+}
+
+// Rank positions with ties: a library shares the rank of the group above it
+// only if it ties with every member, so no two libraries that differ share a rank
+function groupRankings(rankings, results) {
+  const groups = [];
+  rankings.forEach(item => {
+    const group = groups[groups.length - 1];
+    if (group && group.every(member => isTie(results, member, item))) {
+      group.push(item);
+    } else {
+      groups.push([item]);
+    }
+  });
+
+  let rank = 1;
+  return groups.flatMap(group => {
+    const ranked = group.map(item => ({
+      ...item,
+      rank,
+      tiedWith: group.filter(other => other !== item).map(other => other.lib)
+    }));
+    rank += group.length;
+    return ranked;
+  });
+}
+
+// Average frame budget headroom in % over all counts, null for older reports
+function getAverageHeadroom(libResults) {
+  const values = Object.values(libResults).map(({ combined }) => combined.headroom ?? null);
+  if (values.some(value => value === null)) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+// Highest peak JS heap over all counts, null when memory was not measurable
+function getPeakMemory(libResults) {
+  const peaks = Object.values(libResults).map(({ combined }) => combined.memoryPeak ?? null);
+  return peaks.every(peak => peak !== null) ? Math.max(...peaks) : null;
+}
+
+// Median input latency over all counts, null outside the input latency scenario
+function getInputLatency(libResults) {
+  const latencies = Object.values(libResults)
+    .map(({ combined }) => combined.inputLatencyMedian ?? null)
+    .filter(latency => latency !== null)
+    .sort((a, b) => a - b);
+  return latencies.length > 0 ? latencies[Math.floor(latencies.length / 2)] : null;
+}
+
+function renderLeaderboard(results, libraries, scoreBasis, fpsUnit) {
+  const counts = getResultCounts(results);
+  const rankings = groupRankings(Object.keys(results)
     .map(lib => ({
       lib,
-      score: calculateLibraryScore(results[lib]),
-      avgFps: Math.round(POINT_COUNTS.reduce((s, c) => s + results[lib][c].combined.medianFps, 0) / POINT_COUNTS.length),
-      avgJitter: (POINT_COUNTS.reduce((s, c) => s + results[lib][c].combined.jitter, 0) / POINT_COUNTS.length).toFixed(1)
+      score: calculateLibraryScore(results[lib], scoreBasis),
+      headroom: getAverageHeadroom(results[lib]),
+      hitsRefreshRate: hitsRefreshRate(results[lib], scoreBasis),
+      avgFps: Math.round(counts.reduce((s, c) => s + results[lib][c].combined.medianFps, 0) / counts.length),
+      avgJitter: (counts.reduce((s, c) => s + results[lib][c].combined.jitter, 0) / counts.length).toFixed(1),
+      peakMemory: getPeakMemory(results[lib]),
+      inputLatency: getInputLatency(results[lib])
     }))
-    .sort((a, b) => b.score - a.score);
+    .sort((a, b) => b.score - a.score), results);
 
   const medals = ['\u{1F947}', '\u{1F948}', '\u{1F949}', '']; // Gold, Silver, Bronze
 
-  document.getElementById('leaderboard-cards').innerHTML = rankings.map((item, i) => `
-    <div class="leaderboard-card" style="--lib-color: ${LIBRARY_COLORS[item.lib]}">
-      <div class="rank-badge rank-${i + 1}">
-        ${medals[i] ? `<span class="medal">${medals[i]}</span>` : ''}
-        <span class="rank-number">#${i + 1}</span>
-      </div>
-      <div class="card-content">
-        <div class="lib-name">${LIBRARY_NAMES[item.lib]}</div>
-        <div class="lib-score">Score: ${item.score}</div>
-        <div class="lib-metrics">
-          <span><strong>${item.avgFps}</strong> avg FPS</span>
-          <span><strong>${item.avgJitter}</strong>ms jitter</span>
+  // Medals only for ranks that are not tied
+  document.getElementById('leaderboard-cards').innerHTML = rankings.map(item => {
+    const medal = item.tiedWith.length === 0 ? medals[item.rank - 1] : '';
+    const tiedNames = escapeHtml(item.tiedWith.map(lib => libraries[lib].name).join(', '));
+
+    return `
+      <div class="leaderboard-card" style="--lib-color: ${libraries[item.lib].color}">
+        <div class="rank-badge rank-${item.rank}">
+          ${medal ? `<span class="medal">${medal}</span>` : ''}
+          <span class="rank-number">#${item.rank}${item.tiedWith.length > 0 ? '=' : ''}</span>
         </div>
+        <div class="card-content">
+          <div class="lib-name">${escapeHtml(libraries[item.lib].name)}</div>
+          <div class="lib-score">Score: ${item.score}</div>
+          <div class="lib-metrics">
+            <span><strong>${item.avgFps}</strong> avg ${fpsUnit}</span>
+            <span><strong>${item.avgJitter}</strong>ms jitter</span>
+            ${item.headroom !== null ? `<span><strong>${item.headroom}%</strong> headroom</span>` : ''}
+            ${item.peakMemory !== null ? `<span><strong>${item.peakMemory}</strong> MB peak heap</span>` : ''}
+            ${item.inputLatency !== null ? `<span><strong>${item.inputLatency}</strong>ms input latency</span>` : ''}
+          </div>
+          ${tiedNames ? `<div class="lib-tie">Not significantly different from ${tiedNames}</div>` : ''}
+        </div>
+        <div class="performance-bar" style="width: ${item.score}%"></div>
       </div>
-      <div class="performance-bar" style="width: ${item.score}%"></div>
-    </div>
-  `).join('');
+    `;
+  }).join('');
+}
+
+// Format a relative change as +3.4% / -12.0%, colored by whether it is better
+function formatDelta(current, previous, higherIsBetter = true) {
+  if (!previous) return '';
+  const change = (current - previous) / previous * 100;
+  const better = higherIsBetter ? change > 0 : change < 0;
+  const className = change === 0 ? '' : better ? 'delta-up' : 'delta-down';
+  return `<span class="${className}">${change > 0 ? '+' : ''}${change.toFixed(1)}%</span>`;
+}
+
+// Delta tables: median FPS and score of the shown run against each imported run
+function renderComparisonTables(scenarioId) {
+  const results = getScoredResults(shownReport.results[scenarioId]);
+  const counts = getResultCounts(results);
+
+  document.getElementById('comparison-tables').innerHTML = comparedReports.map(report => {
+    const baseline = report.results[scenarioId] && getScoredResults(report.results[scenarioId]);
+    if (!baseline) {
+      return `<div class="comparison-table-wrapper"><h4>vs ${escapeHtml(getReportLabel(report))}: scenario not in this run</h4></div>`;
+    }
+
+    const libs = Object.keys(results).filter(lib => baseline[lib]);
+    const rows = libs.map(lib => {
+      const cells = counts.map(count => {
+        const current = results[lib][count].combined.medianFps;
+        const previous = baseline[lib][count]?.combined?.medianFps;
+        return previous === undefined
+          ? `<td>${current}</td>`
+          : `<td>${previous} &rarr; ${current} ${formatDelta(current, previous)}</td>`;
+      });
+      const score = calculateLibraryScore(results[lib], getScoreBasis(shownReport, results));
+      const previousScore = calculateLibraryScore(baseline[lib], getScoreBasis(report, baseline));
+
+      return `
+        <tr>
+          <td>${escapeHtml(shownReport.libraries[lib].name)}</td>
+          ${cells.join('')}
+          <td>${previousScore} &rarr; ${score} ${formatDelta(score, previousScore)}</td>
+        </tr>
+      `;
+    });
+
+    return `
+      <div class="comparison-table-wrapper">
+        <h4>vs ${escapeHtml(getReportLabel(report))} (median ${getFpsUnit(shownReport)})</h4>
+        <table class="comparison-table">
+          <thead>
+            <tr>
+              <th>Library</th>
+              ${counts.map(count => `<th>${formatCount(count)}</th>`).join('')}
+              <th>Score</th>
+            </tr>
+          </thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>
+      </div>
+    `;
+  }).join('');
 }
 
 let viewToggleInitialized = false;
@@ -834,8 +1683,14 @@ function setupViewToggle() {
       const view = btn.dataset.view;
       document.getElementById('leaderboard-view').style.display = view === 'leaderboard' ? 'block' : 'none';
       document.getElementById('charts-view').style.display = view === 'charts' ? 'block' : 'none';
+      document.getElementById('distribution-view').style.display = view === 'distribution' ? 'block' : 'none';
+      document.getElementById('viewports-view').style.display = view === 'viewports' ? 'block' : 'none';
     });
   });
+
+  document.getElementById('distribution-library').addEventListener('change', renderDistributionCharts);
+  document.getElementById('distribution-count').addEventListener('change', renderDistributionCharts);
+  document.getElementById('viewport-count').addEventListener('change', renderViewportChart);
 }
 
 function resetViewToLeaderboard() {
@@ -844,4 +1699,245 @@ function resetViewToLeaderboard() {
   });
   document.getElementById('leaderboard-view').style.display = 'block';
   document.getElementById('charts-view').style.display = 'none';
+  document.getElementById('distribution-view').style.display = 'none';
+  document.getElementById('viewports-view').style.display = 'none';
+
+  // The pixel count chart needs a run with viewport presets
+  const hasViewports = Object.keys(shownReport?.viewports ?? {}).length > 0;
+  document.getElementById('viewports-view-btn').style.display = hasViewports ? '' : 'none';
+}
+
+// ==========================================
+// FRAME TIME DISTRIBUTION
+// ==========================================
+
+const HISTOGRAM_BIN_MS = 2;
+const HISTOGRAM_MAX_MS = 100;   // Last bin collects everything slower
+
+// Axis options shared by the distribution charts
+function distributionAxis(title) {
+  return {
+    title: { display: true, text: title, color: '#888' },
+    ticks: { color: '#888' },
+    grid: { color: '#0f3460' }
+  };
+}
+
+function destroyDistributionCharts() {
+  histogramChart?.destroy();
+  timelineChart?.destroy();
+  histogramChart = null;
+  timelineChart = null;
+}
+
+// Library and count pickers for the scenario, keeping the previous choice if it ran
+function renderDistributionOptions(scenarioId, countUnit) {
+  const results = shownReport.results[scenarioId];
+  const librarySelect = document.getElementById('distribution-library');
+  const countSelect = document.getElementById('distribution-count');
+  const previousLib = librarySelect.value;
+  const previousCount = countSelect.value;
+
+  librarySelect.innerHTML = Object.keys(results).map(lib =>
+    `<option value="${escapeHtml(lib)}">${escapeHtml(shownReport.libraries[lib].name)}</option>`
+  ).join('');
+  countSelect.innerHTML = getResultCounts(results).map(count =>
+    `<option value="${count}">${count.toLocaleString()} ${countUnit}</option>`
+  ).join('');
+
+  if (results[previousLib]) librarySelect.value = previousLib;
+  if ([...countSelect.options].some(option => option.value === previousCount)) countSelect.value = previousCount;
+
+  renderDistributionCharts();
+}
+
+// Histogram and per-frame timeline of one library / count, all iterations
+function renderDistributionCharts() {
+  const lib = document.getElementById('distribution-library').value;
+  const count = document.getElementById('distribution-count').value;
+  const entry = shownReport.results[selectedScenario]?.[lib]?.[count];
+  const iterations = (entry?.iterations ?? []).filter(i => i.frameTimes?.length > 0);
+  const summary = document.getElementById('distribution-summary');
+
+  destroyDistributionCharts();
+
+  if (iterations.length === 0) {
+    summary.textContent = 'This report has no per-frame data (recorded before frame times were stored).';
+    return;
+  }
+
+  const { combined } = entry;
+  const color = shownReport.libraries[lib].color;
+  summary.textContent = `p50 ${combined.p50FrameTime}ms · p95 ${combined.p95FrameTime}ms · ` +
+    `p99 ${combined.p99FrameTime}ms · ${combined.totalLongFrames} frames over ${LONG_FRAME_MS}ms ` +
+    `(percentiles are the median across ${iterations.length} iteration${iterations.length === 1 ? '' : 's'})`;
+
+  // Histogram: every recorded frame of every iteration
+  const binCount = HISTOGRAM_MAX_MS / HISTOGRAM_BIN_MS + 1;
+  const bins = new Array(binCount).fill(0);
+  iterations.forEach(({ frameTimes }) => {
+    frameTimes.forEach(t => bins[Math.min(binCount - 1, Math.floor(t / HISTOGRAM_BIN_MS))]++);
+  });
+  const binLabels = bins.map((_, i) => i === binCount - 1
+    ? `${HISTOGRAM_MAX_MS}+`
+    : `${i * HISTOGRAM_BIN_MS}-${(i + 1) * HISTOGRAM_BIN_MS}`);
+
+  histogramChart = new Chart(document.getElementById('histogram-chart').getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: binLabels,
+      datasets: [{
+        label: 'Frames',
+        data: bins,
+        backgroundColor: bins.map((_, i) => i * HISTOGRAM_BIN_MS >= LONG_FRAME_MS ? '#e74c3c' : color),
+        barPercentage: 1,
+        categoryPercentage: 1
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: distributionAxis('Frame Time (ms)'),
+        y: { ...distributionAxis('Frames'), beginAtZero: true }
+      }
+    }
+  });
+
+  // Timeline: frame time against time since the measurement started, one line per iteration
+  timelineChart = new Chart(document.getElementById('timeline-chart').getContext('2d'), {
+    type: 'line',
+    data: {
+      datasets: iterations.map(({ frameTimes }, i) => {
+        let elapsed = 0;
+        return {
+          label: `Iteration ${i + 1}`,
+          data: frameTimes.map(t => ({ x: (elapsed += t) / 1000, y: t })),
+          borderColor: color + ['ff', 'aa', '66'][i % 3],
+          borderWidth: 1,
+          pointRadius: 0
+        };
+      })
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      plugins: {
+        legend: { labels: { color: '#eee', usePointStyle: true } },
+        tooltip: { mode: 'nearest', intersect: false }
+      },
+      scales: {
+        x: { ...distributionAxis('Time (s)'), type: 'linear' },
+        y: { ...distributionAxis('Frame Time (ms)'), beginAtZero: true }
+      }
+    }
+  });
+}
+
+// ==========================================
+// FPS VS PIXEL COUNT
+// ==========================================
+
+// Result keys of the selected scenario at each viewport preset, fewest pixels first
+function getViewportRuns() {
+  const { scenarioId } = parseResultKey(selectedScenario);
+  return Object.keys(shownReport.results)
+    .map(key => ({ key, viewport: shownReport.viewports?.[parseResultKey(key).viewportId] }))
+    .filter(({ key, viewport }) => viewport && parseResultKey(key).scenarioId === scenarioId)
+    .sort((a, b) => getPixelCount(a.viewport) - getPixelCount(b.viewport));
+}
+
+// Count picker for the pixel count chart, keeping the previous choice if it ran
+function renderViewportOptions(countUnit) {
+  if (Object.keys(shownReport.viewports ?? {}).length === 0) return;
+
+  const countSelect = document.getElementById('viewport-count');
+  const previousCount = countSelect.value;
+  const counts = new Set();
+  getViewportRuns().forEach(({ key }) => getResultCounts(shownReport.results[key]).forEach(count => counts.add(count)));
+
+  countSelect.innerHTML = [...counts].sort((a, b) => a - b).map(count =>
+    `<option value="${count}">${count.toLocaleString()} ${countUnit}</option>`
+  ).join('');
+  if ([...countSelect.options].some(option => option.value === previousCount)) countSelect.value = previousCount;
+
+  renderViewportChart();
+}
+
+// Median FPS of every library against the device pixels drawn per frame
+function renderViewportChart() {
+  const count = document.getElementById('viewport-count').value;
+  const runs = getViewportRuns();
+  const fpsUnit = getFpsUnit(shownReport);
+
+  viewportChart?.destroy();
+  viewportChart = null;
+
+  // Presets a library was not measured at, with the reason
+  const exclusions = Object.fromEntries(Object.keys(shownReport.libraries).map(lib => [
+    lib,
+    runs.filter(({ key }) => !shownReport.results[key][lib]?.[count]?.combined).map(({ key, viewport }) => ({
+      viewport,
+      reason: shownReport.results[key][lib]
+        ? shownReport.results[key][lib][count]?.failures?.[0] ?? 'not measured'
+        : getSkipReason(key, lib)
+    }))
+  ]));
+
+  // Libraries missing at some presets say so in the legend instead of just leaving a gap
+  const datasets = Object.entries(shownReport.libraries).map(([lib, library]) => ({
+    label: exclusions[lib].length === 0
+      ? library.name
+      : `${library.name} (not at ${exclusions[lib].map(({ viewport }) => formatViewport(viewport)).join(', ')})`,
+    data: runs
+      .map(({ key, viewport }) => ({
+        x: getPixelCount(viewport),
+        y: shownReport.results[key][lib]?.[count]?.combined?.medianFps ?? null,
+        viewport
+      }))
+      .filter(point => point.y !== null),
+    borderColor: library.color,
+    backgroundColor: library.color,
+    tension: 0.2,
+    pointRadius: 5
+  }));
+
+  const excluded = Object.entries(exclusions).flatMap(([lib, presets]) => presets.map(({ viewport, reason }) =>
+    `${shownReport.libraries[lib].name} at ${formatViewport(viewport)}: ${reason}`));
+  document.getElementById('viewport-summary').textContent =
+    `Median ${fpsUnit} per viewport preset: ${runs.map(({ viewport }) => formatViewport(viewport)).join(', ')}` +
+    (excluded.length > 0 ? `. Not measured: ${excluded.join('; ')}` : '');
+
+  viewportChart = new Chart(document.getElementById('viewport-chart').getContext('2d'), {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      plugins: {
+        legend: { labels: { color: '#eee', usePointStyle: true } },
+        tooltip: {
+          callbacks: {
+            title: items => formatViewport(items[0].raw.viewport),
+            label: item => `${item.dataset.label}: ${item.raw.y} ${fpsUnit}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          ...distributionAxis('Device Pixels per Frame (millions)'),
+          type: 'linear',
+          beginAtZero: true,
+          ticks: { color: '#888', callback: value => (value / 1e6).toFixed(1) }
+        },
+        y: { ...distributionAxis(`Median ${fpsUnit}`), beginAtZero: true }
+      }
+    }
+  });
 }
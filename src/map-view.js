@@ -0,0 +1,101 @@
+// map-view.js - One view definition for every library
+//
+// Views are written once in the 256px-tile zoom convention (Leaflet /
+// OpenLayers) and converted to each adapter's native zoom with toNativeView();
+// OpenLayers turns that zoom into its resolution itself. The benchmark does not
+// use a fixed zoom: it fits CANONICAL_BOUNDS to the map container, so every
+// library and viewport preset shows the same ground, and checks through
+// adapter.project() that the maps really ended up there.
+
+// View the maps open at in the app
+export const DEFAULT_VIEW = { center: [-74.0060, 40.7128], zoom: 11, bearing: 0 };
+
+// Ground the benchmark shows: [[west, south], [east, north]] around DEFAULT_VIEW,
+// about what zoom 11 shows in a 1000×700 map
+export const CANONICAL_BOUNDS = [[-74.356, 40.531], [-73.656, 40.893]];
+
+// Largest allowed offset of the visible extent's corners, as a share of the map size
+export const EXTENT_TOLERANCE = 0.02;
+
+const TILE_SIZE = 256;
+
+// Web Mercator, as a share of the world (0 to 1, y pointing south)
+function mercatorX(lng) {
+  return (lng + 180) / 360;
+}
+
+function mercatorY(lat) {
+  const sin = Math.sin(lat * Math.PI / 180);
+  return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+}
+
+function toLng(x) {
+  return x * 360 - 180;
+}
+
+function toLat(y) {
+  return 360 / Math.PI * Math.atan(Math.exp((0.5 - y) * 2 * Math.PI)) - 90;
+}
+
+// Convert a view to an adapter's native view (see capabilities)
+export function toNativeView({ center, zoom, bearing }, capabilities) {
+  return {
+    center,
+    // 512px tiles show at zoom z - 1 what 256px tiles show at zoom z
+    zoom: capabilities.tileSize === 512 ? zoom - 1 : zoom,
+    bearing: capabilities.rotation ? bearing : 0
+  };
+}
+
+// Inverse of toNativeView(): an adapter's getView() in the 256px-tile convention
+export function fromNativeView({ center, zoom, bearing }, capabilities) {
+  return {
+    center,
+    zoom: capabilities.tileSize === 512 ? zoom + 1 : zoom,
+    bearing
+  };
+}
+
+// View centred on the bounds that shows about all of them in a map of `size`.
+// The zoom is rounded to a whole level because Leaflet snaps to whole levels
+// (zoomSnap 1); any other zoom would leave it showing different ground.
+export function fitBounds([[west, south], [east, north]], { width, height }) {
+  const x = [mercatorX(west), mercatorX(east)];
+  const y = [mercatorY(north), mercatorY(south)];
+  const scale = Math.min(width / (x[1] - x[0]), height / (y[1] - y[0]));
+
+  return {
+    center: [toLng((x[0] + x[1]) / 2), toLat((y[0] + y[1]) / 2)],
+    zoom: Math.round(Math.log2(scale / TILE_SIZE)),
+    bearing: 0
+  };
+}
+
+// Ground a view (256px-tile zoom, no bearing) shows in a map of `size`
+export function getViewBounds({ center, zoom }, { width, height }) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const x = mercatorX(center[0]);
+  const y = mercatorY(center[1]);
+  return [
+    [toLng(x - width / 2 / scale), toLat(y + height / 2 / scale)],
+    [toLng(x + width / 2 / scale), toLat(y - height / 2 / scale)]
+  ];
+}
+
+// How far an adapter's visible extent is from what `view` should show: the
+// largest offset of the projected corners as a share of the map size
+// (Infinity while the map cannot project yet, e.g. OpenLayers before its first render)
+export function getExtentError(adapter, view, size) {
+  const [southWest, northEast] = getViewBounds(view, size).map(corner => adapter.project(corner));
+  if (!southWest || !northEast) return Infinity;
+
+  const [left, bottom] = southWest;
+  const [right, top] = northEast;
+
+  return Math.max(
+    Math.abs(left) / size.width,
+    Math.abs(right - size.width) / size.width,
+    Math.abs(top) / size.height,
+    Math.abs(bottom - size.height) / size.height
+  );
+}
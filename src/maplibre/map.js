@@ -1,14 +1,34 @@
 import maplibregl from 'maplibre-gl';
 import 'maplibre-gl/dist/maplibre-gl.css';
 import { getAllData } from '../data/fake-data.js';
+import { createInteractionEmitter, finishWebGL } from '../adapter.js';
+import { DEFAULT_VIEW, toNativeView } from '../map-view.js';
+
+// Adapter contract (see src/adapter.js)
+export const library = {
+  id: 'maplibre',
+  name: 'MapLibre GL',
+  tabLabel: 'MapLibre GL JS',
+  color: '#2ecc71',
+  renderer: 'webgl'
+};
 
-// Shared view configuration (matching Leaflet's discrete zoom)
-const VIEW_CENTER = [-74.0060, 40.7128]; // [lng, lat]
-const VIEW_ZOOM = 10; // WebGL libraries render 1 level deeper than Canvas at same zoom
+export const capabilities = {
+  heatmap: true,
+  cluster: true,
+  rotation: true,
+  syncRender: true,
+  pixelRatio: true,
+  tileSize: 512
+};
+
+export const defaultView = toNativeView(DEFAULT_VIEW, capabilities);
 
 let map = null;
 let popup = null;
+let sourcesAdded = false;
 const data = getAllData();
+const interactions = createInteractionEmitter();
 
 // Code snippets for display
 export const codeSnippets = {
@@ -122,9 +142,9 @@ map.addLayer({
 });`
 };
 
-export function initMap() {
+export function initMap(container) {
   map = new maplibregl.Map({
-    container: 'map-maplibre',
+    container,
     style: {
       version: 8,
       sources: {
@@ -143,8 +163,8 @@ export function initMap() {
         maxzoom: 19
       }]
     },
-    center: VIEW_CENTER,
-    zoom: VIEW_ZOOM
+    center: defaultView.center,
+    zoom: defaultView.zoom
   });
 
   popup = new maplibregl.Popup({
@@ -158,6 +178,7 @@ export function initMap() {
     addSources();
     addLayers();
     addInteractions();
+    sourcesAdded = true;
   });
 
   return map;
@@ -343,6 +364,11 @@ function addLayers() {
   });
 }
 
+// The popup is DOM: it is on screen once the next frame starts
+function popupRendered(layerId) {
+  requestAnimationFrame(() => interactions.emit('popup', layerId));
+}
+
 function addInteractions() {
   let hoveredPolygonId = null;
 
@@ -360,6 +386,7 @@ function addInteractions() {
         { source: 'polygons', id: hoveredPolygonId },
         { hover: true }
       );
+      map.once('render', () => interactions.emit('hover', 'polygons'));
     }
   });
 
@@ -387,6 +414,7 @@ function addInteractions() {
         Magnitude: ${props.magnitude.toFixed(1)}
       `)
       .addTo(map);
+    popupRendered('points');
   });
 
   // Cluster click - zoom in
@@ -415,6 +443,7 @@ function addInteractions() {
         Population: ${props.population.toLocaleString()}
       `)
       .addTo(map);
+    popupRendered('polygons');
   });
 
   // Line click popup
@@ -430,6 +459,7 @@ function addInteractions() {
         Distance: ${props.distance} km
       `)
       .addTo(map);
+    popupRendered('lines');
   });
 
   // Cursor changes
@@ -443,8 +473,68 @@ function addInteractions() {
   map.on('mouseleave', 'clusters', () => { map.getCanvas().style.cursor = ''; });
 }
 
+// Remove the map, its WebGL context and the shared popup
+export function destroy() {
+  if (!map) return;
+
+  popup.remove();
+  popup = null;
+  map.remove();
+  map = null;
+  sourcesAdded = false;
+}
+
+// Resolves once the style has loaded and the sources/layers exist
+// (isStyleLoaded() flips back to false whenever tiles or GeoJSON are loading)
+export function whenReady() {
+  return new Promise(resolve => {
+    if (sourcesAdded) {
+      resolve();
+    } else {
+      map.once('load', () => resolve());
+    }
+  });
+}
+
+// Resolves on the next 'idle': GeoJSON parsed by the worker, tiles loaded
+// and the frame drawn (the repaint makes it fire when nothing was pending)
+export function whenRendered() {
+  return new Promise(resolve => {
+    map.once('idle', () => resolve());
+    map.triggerRepaint();
+  });
+}
+
+export function resize() {
+  if (map) map.resize();
+}
+
+// null removes the override (MapLibre may still lower it to respect maxCanvasSize)
+export function setPixelRatio(ratio) {
+  if (map) map.setPixelRatio(ratio);
+}
+
+// GeoJSON sources are tiled in a worker, so a frame right after setData()
+// may still show the previous data
+export function renderSync() {
+  if (!map) return;
+
+  map.redraw();
+  finishWebGL([map.getCanvas()]);
+}
+
+export function setView({ center, zoom, bearing = 0 }) {
+  if (!map) return;
+  map.jumpTo({ center, zoom, bearing });
+}
+
+export function getView() {
+  const { lng, lat } = map.getCenter();
+  return { center: [lng, lat], zoom: map.getZoom(), bearing: map.getBearing() };
+}
+
 export function setLayerVisibility(layerId, visible) {
-  if (!map || !map.isStyleLoaded()) return;
+  if (!map || !sourcesAdded) return;
 
   const visibility = visible ? 'visible' : 'none';
 
@@ -474,6 +564,13 @@ export function setLayerVisibility(layerId, visible) {
   }
 }
 
+export function project(lngLat) {
+  const { x, y } = map.project(lngLat);
+  return [x, y];
+}
+
+export const onInteractionRendered = interactions.subscribe;
+
 export function getMap() {
   return map;
 }
@@ -486,7 +583,7 @@ export function getFeatureCount() {
 
 // Animation support - update all point positions
 export function updatePointPositions(animatedData) {
-  if (!map || !map.isStyleLoaded()) return;
+  if (!map || !sourcesAdded) return;
 
   const source = map.getSource('points');
   const clusteredSource = map.getSource('points-clustered');
@@ -501,7 +598,7 @@ export function updatePointPositions(animatedData) {
 
 // Update points data (for dynamic point count)
 export function setPointsData(pointsGeoJSON) {
-  if (!map || !map.isStyleLoaded()) return;
+  if (!map || !sourcesAdded) return;
 
   data.points = pointsGeoJSON;
 
@@ -515,3 +612,15 @@ export function setPointsData(pointsGeoJSON) {
     clusteredSource.setData(pointsGeoJSON);
   }
 }
+
+// Replace the lines (dense line scenario)
+export function setLinesData(linesGeoJSON) {
+  if (!map || !sourcesAdded) return;
+
+  data.lines = linesGeoJSON;
+  map.getSource('lines').setData(linesGeoJSON);
+}
+
+export function getLinesData() {
+  return data.lines;
+}
@@ -0,0 +1,48 @@
+// memory.js - JS heap sampling for the benchmark
+//
+// Two browser APIs, both Chromium-only:
+// - performance.measureUserAgentSpecificMemory(): whole-page memory, needs a
+//   cross-origin isolated page and may wait for a garbage collection
+// - performance.memory.usedJSHeapSize: this page's JS heap, cheap to read but
+//   coarse unless Chrome runs with --enable-precise-memory-info
+// Before / after load / end measurements use the precise API when the page
+// allows it; during the run performance.memory is sampled for the peak.
+// Values are in MB, or null where neither API exists (Firefox, Safari).
+
+const PRECISE_TIMEOUT_MS = 2000;   // Fall back to the heap size if the precise API stalls
+
+const BYTES_PER_MB = 1024 * 1024;
+
+function toMB(bytes) {
+  return Math.round(bytes / BYTES_PER_MB * 10) / 10;
+}
+
+function hasPreciseMemory() {
+  return window.crossOriginIsolated && typeof performance.measureUserAgentSpecificMemory === 'function';
+}
+
+// API the measurements come from, recorded with the environment
+export function getMemorySource() {
+  if (hasPreciseMemory()) return 'measureUserAgentSpecificMemory';
+  if (performance.memory) return 'performance.memory';
+  return null;
+}
+
+// Current JS heap in MB (cheap, safe to call every frame)
+export function sampleHeap() {
+  return performance.memory ? toMB(performance.memory.usedJSHeapSize) : null;
+}
+
+// Best available memory measurement in MB
+export async function measureMemory() {
+  if (hasPreciseMemory()) {
+    const timeout = new Promise(resolve => setTimeout(resolve, PRECISE_TIMEOUT_MS, null));
+    try {
+      const result = await Promise.race([performance.measureUserAgentSpecificMemory(), timeout]);
+      if (result) return toMB(result.bytes);
+    } catch {
+      // SecurityError when isolation is lost; use the heap size instead
+    }
+  }
+  return sampleHeap();
+}
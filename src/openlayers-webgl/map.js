@@ -0,0 +1,611 @@
+import Map from 'ol/Map.js';
+import { DEVICE_PIXEL_RATIO } from 'ol/has.js';
+import View from 'ol/View.js';
+import Feature from 'ol/Feature.js';
+import WebGLTileLayer from 'ol/layer/WebGLTile.js';
+import WebGLVectorLayer from 'ol/layer/WebGLVector.js';
+import VectorLayer from 'ol/layer/Vector.js';
+import HeatmapLayer from 'ol/layer/Heatmap.js';
+import OSM from 'ol/source/OSM.js';
+import VectorSource from 'ol/source/Vector.js';
+import Cluster from 'ol/source/Cluster.js';
+import GeoJSON from 'ol/format/GeoJSON.js';
+import { Style, Fill, Text } from 'ol/style.js';
+import { fromLonLat, toLonLat } from 'ol/proj.js';
+import Overlay from 'ol/Overlay.js';
+import 'ol/ol.css';
+
+import { getAllData } from '../data/fake-data.js';
+import { createInteractionEmitter, finishWebGL } from '../adapter.js';
+import { DEFAULT_VIEW, toNativeView } from '../map-view.js';
+
+// Same library as src/openlayers/map.js, but every layer uses a WebGL renderer.
+// Data flows through the same GeoJSON -> VectorSource path as the Canvas
+// version so the comparison isolates the rendering backend.
+
+// Adapter contract (see src/adapter.js)
+export const library = {
+  id: 'openlayers-webgl',
+  name: 'OpenLayers (WebGL)',
+  color: '#9b59b6',
+  renderer: 'webgl'
+};
+
+export const capabilities = {
+  heatmap: true,
+  cluster: true,
+  rotation: true,
+  syncRender: true,
+  pixelRatio: true,
+  tileSize: 256
+};
+
+export const defaultView = toNativeView(DEFAULT_VIEW, capabilities);
+
+let map = null;
+// Pixel ratio the map is built with (see setPixelRatio), null for the device's
+let pixelRatio = null;
+let popup = null;
+let popupOverlay = null;
+const data = getAllData();
+const interactions = createInteractionEmitter();
+const layers = {};
+let pointsSource = null;
+let clusterSource = null;
+const format = new GeoJSON();
+
+// Flat styles (WebGL layers don't accept ol/style objects)
+const POINT_STYLE = {
+  'circle-radius': 6,
+  'circle-fill-color': '#e94560',
+  'circle-stroke-color': '#fff',
+  'circle-stroke-width': 2
+};
+
+const isHovered = ['==', ['get', 'id'], ['var', 'hoveredId']];
+
+const POLYGON_STYLE = {
+  'fill-color': ['case', isHovered, ['get', 'hoverColor'], ['get', 'fillColor']],
+  'stroke-color': '#ffffff',
+  'stroke-width': ['case', isHovered, 3, 2]
+};
+
+const LINE_STYLE = {
+  'stroke-color': ['get', 'color'],
+  'stroke-width': 4,
+  'stroke-line-cap': 'round',
+  'stroke-line-join': 'round'
+};
+
+const clusterSize = ['get', 'size'];
+
+const CLUSTER_STYLE = [
+  {
+    filter: ['==', clusterSize, 1],
+    style: POINT_STYLE
+  },
+  {
+    else: true,
+    style: {
+      'circle-radius': ['+', 15, ['min', ['/', clusterSize, 20], 25]],
+      'circle-fill-color': [
+        'case',
+        ['>', clusterSize, 500], '#e94560',
+        ['>', clusterSize, 100], '#f1c40f',
+        '#2ecc71'
+      ],
+      'circle-stroke-color': '#fff',
+      'circle-stroke-width': 2
+    }
+  }
+];
+
+// Code snippets for display
+export const codeSnippets = {
+  points: `// OpenLayers (WebGL) - Points Layer
+import WebGLVectorLayer from 'ol/layer/WebGLVector.js';
+
+const pointsSource = new VectorSource({
+  features: new GeoJSON().readFeatures(
+    pointsGeoJSON,
+    { featureProjection: 'EPSG:3857' }
+  )
+});
+
+// WebGL layers take flat style objects instead of ol/style classes
+const pointsLayer = new WebGLVectorLayer({
+  source: pointsSource,
+  style: {
+    'circle-radius': 6,
+    'circle-fill-color': '#e94560',
+    'circle-stroke-color': '#fff',
+    'circle-stroke-width': 2
+  }
+});
+
+map.addLayer(pointsLayer);`,
+
+  polygons: `// OpenLayers (WebGL) - Polygons Layer
+const polygonsLayer = new WebGLVectorLayer({
+  source: polygonsSource,
+  // Hover is a style variable, not a per-feature style
+  variables: { hoveredId: -1 },
+  style: {
+    'fill-color': [
+      'case',
+      ['==', ['get', 'id'], ['var', 'hoveredId']],
+      ['get', 'hoverColor'],
+      ['get', 'fillColor']
+    ],
+    'stroke-color': '#ffffff',
+    'stroke-width': 2
+  }
+});
+
+map.on('pointermove', (e) => {
+  const feature = map.forEachFeatureAtPixel(e.pixel, f => f, {
+    layerFilter: layer => layer === polygonsLayer
+  });
+  polygonsLayer.updateStyleVariables({
+    hoveredId: feature ? feature.get('id') : -1
+  });
+});
+
+map.addLayer(polygonsLayer);`,
+
+  lines: `// OpenLayers (WebGL) - Lines Layer
+const linesLayer = new WebGLVectorLayer({
+  source: linesSource,
+  style: {
+    'stroke-color': ['get', 'color'],
+    'stroke-width': 4,
+    'stroke-line-cap': 'round',
+    'stroke-line-join': 'round'
+  }
+});
+
+map.addLayer(linesLayer);`,
+
+  heatmap: `// OpenLayers (WebGL) - Heatmap Layer
+// ol/layer/Heatmap is WebGL-rendered in both OpenLayers variants
+const heatmapLayer = new HeatmapLayer({
+  source: pointsSource,
+  blur: 15,
+  radius: 20,
+  weight: (feature) => feature.get('magnitude') / 10,
+  gradient: [
+    '#2ecc71', '#f1c40f',
+    '#e67e22', '#e74c3c', '#9b59b6'
+  ]
+});
+
+map.addLayer(heatmapLayer);`,
+
+  cluster: `// OpenLayers (WebGL) - Clustering
+const clusterSource = new Cluster({
+  distance: 50,
+  source: pointsSource,
+  // Expose the count as a plain property for WebGL expressions
+  createCluster: (point, features) => new Feature({
+    geometry: point,
+    features,
+    size: features.length
+  })
+});
+
+const clusterLayer = new WebGLVectorLayer({
+  source: clusterSource,
+  style: {
+    'circle-radius': ['+', 15, ['min', ['/', ['get', 'size'], 20], 25]],
+    'circle-fill-color': [
+      'case',
+      ['>', ['get', 'size'], 500], '#e94560',
+      ['>', ['get', 'size'], 100], '#f1c40f',
+      '#2ecc71'
+    ]
+  }
+});
+
+// WebGL layers can't draw text: counts use a Canvas layer on top
+const clusterLabels = new VectorLayer({
+  source: clusterSource,
+  style: (feature) => new Style({
+    text: new Text({ text: feature.get('size').toString() })
+  })
+});
+
+map.addLayer(clusterLayer);
+map.addLayer(clusterLabels);`
+};
+
+// Precompute fill colors so the WebGL style can read them as attributes
+function readPolygonFeatures(geojson) {
+  const features = format.readFeatures(geojson, { featureProjection: 'EPSG:3857' });
+  features.forEach(feature => {
+    const color = feature.get('color');
+    feature.set('fillColor', color + '80');
+    feature.set('hoverColor', color + 'cc');
+  });
+  return features;
+}
+
+export function initMap(container) {
+  // Create popup element
+  createPopup();
+
+  // Parse GeoJSON data
+  const pointFeatures = format.readFeatures(data.points, { featureProjection: 'EPSG:3857' });
+  const polygonFeatures = readPolygonFeatures(data.polygons);
+  const lineFeatures = format.readFeatures(data.lines, { featureProjection: 'EPSG:3857' });
+
+  // Create sources
+  pointsSource = new VectorSource({ features: pointFeatures });
+  const polygonsSource = new VectorSource({ features: polygonFeatures });
+  const linesSource = new VectorSource({ features: lineFeatures });
+
+  // Cluster source (size exposed as a property for the WebGL style)
+  clusterSource = new Cluster({
+    distance: 50,
+    source: pointsSource,
+    createCluster: (point, features) => new Feature({
+      geometry: point,
+      features,
+      size: features.length
+    })
+  });
+
+  // Create layers
+  layers.polygons = new WebGLVectorLayer({
+    source: polygonsSource,
+    variables: { hoveredId: -1 },
+    style: POLYGON_STYLE
+  });
+
+  layers.lines = new WebGLVectorLayer({
+    source: linesSource,
+    style: LINE_STYLE
+  });
+
+  layers.heatmap = new HeatmapLayer({
+    source: pointsSource,
+    blur: 15,
+    radius: 20,
+    weight: (feature) => {
+      const magnitude = feature.get('magnitude');
+      return magnitude / 10;
+    },
+    gradient: ['#2ecc71', '#f1c40f', '#e67e22', '#e74c3c', '#9b59b6'],
+    visible: false
+  });
+
+  layers.cluster = new WebGLVectorLayer({
+    source: clusterSource,
+    style: CLUSTER_STYLE,
+    visible: false
+  });
+
+  // WebGL layers have no text rendering, so cluster counts are drawn by a
+  // text-only Canvas layer sharing the cluster source
+  layers.clusterLabels = new VectorLayer({
+    source: clusterSource,
+    style: (feature) => {
+      const size = feature.get('size');
+      if (size === 1) return null;
+
+      return new Style({
+        text: new Text({
+          text: size.toString(),
+          font: 'bold 14px sans-serif',
+          fill: new Fill({ color: '#fff' })
+        })
+      });
+    },
+    visible: false
+  });
+
+  layers.points = new WebGLVectorLayer({
+    source: pointsSource,
+    style: POINT_STYLE
+  });
+
+  // Create map with fixed center and zoom (matching Leaflet)
+  map = new Map({
+    target: container,
+    pixelRatio: pixelRatio ?? DEVICE_PIXEL_RATIO,
+    layers: [
+      new WebGLTileLayer({
+        source: new OSM()
+      }),
+      layers.polygons,
+      layers.lines,
+      layers.heatmap,
+      layers.cluster,
+      layers.clusterLabels,
+      layers.points
+    ],
+    view: new View({
+      center: fromLonLat(defaultView.center),
+      zoom: defaultView.zoom
+    }),
+    overlays: [popupOverlay]
+  });
+
+  // Add interactions
+  addInteractions();
+
+  return map;
+}
+
+function createPopup() {
+  popup = document.createElement('div');
+  popup.className = 'ol-popup';
+  popup.innerHTML = `
+    <a href="#" class="ol-popup-closer">&times;</a>
+    <div class="ol-popup-content"></div>
+  `;
+  document.body.appendChild(popup);
+
+  popupOverlay = new Overlay({
+    element: popup,
+    autoPan: true,
+    autoPanAnimation: {
+      duration: 250
+    }
+  });
+
+  // Close button
+  popup.querySelector('.ol-popup-closer').addEventListener('click', (e) => {
+    e.preventDefault();
+    popupOverlay.setPosition(undefined);
+  });
+}
+
+function addInteractions() {
+  // Pointer move for hover effects (hovered polygon is a style variable)
+  map.on('pointermove', (e) => {
+    const hit = map.forEachFeatureAtPixel(e.pixel, (f, layer) => {
+      return { feature: f, layer };
+    });
+
+    const hoveredId = hit && hit.layer === layers.polygons ? hit.feature.get('id') : -1;
+    layers.polygons.updateStyleVariables({ hoveredId });
+    if (hoveredId !== -1) {
+      map.once('postrender', () => interactions.emit('hover', 'polygons'));
+    }
+
+    // Cursor style
+    map.getTargetElement().style.cursor = hit ? 'pointer' : '';
+  });
+
+  // Click for popups
+  map.on('click', (e) => {
+    const hit = map.forEachFeatureAtPixel(e.pixel, (feature, layer) => {
+      return { feature, layer };
+    }, {
+      layerFilter: layer => layer !== layers.clusterLabels
+    });
+
+    if (!hit) {
+      popupOverlay.setPosition(undefined);
+      return;
+    }
+
+    const { feature, layer } = hit;
+    let content = '';
+
+    if (layer === layers.points) {
+      const props = feature.getProperties();
+      content = `
+        <strong>${props.name}</strong><br>
+        Category: ${props.category}<br>
+        Magnitude: ${props.magnitude.toFixed(1)}
+      `;
+    } else if (layer === layers.polygons) {
+      const props = feature.getProperties();
+      content = `
+        <strong>${props.name}</strong><br>
+        Type: ${props.type}<br>
+        Population: ${props.population.toLocaleString()}
+      `;
+    } else if (layer === layers.lines) {
+      const props = feature.getProperties();
+      content = `
+        <strong>${props.name}</strong><br>
+        Type: ${props.type}<br>
+        Distance: ${props.distance} km
+      `;
+    } else if (layer === layers.cluster) {
+      const features = feature.get('features');
+      if (features.length === 1) {
+        const props = features[0].getProperties();
+        content = `
+          <strong>${props.name}</strong><br>
+          Category: ${props.category}<br>
+          Magnitude: ${props.magnitude.toFixed(1)}
+        `;
+      } else {
+        // Zoom into cluster (fit the extent of its members)
+        const extent = new VectorSource({ features }).getExtent();
+        map.getView().fit(extent, {
+          duration: 500,
+          padding: [50, 50, 50, 50],
+          maxZoom: map.getView().getZoom() + 2
+        });
+        return;
+      }
+    }
+
+    if (content) {
+      popup.querySelector('.ol-popup-content').innerHTML = content;
+      popupOverlay.setPosition(e.coordinate);
+      const layerId = Object.keys(layers).find(id => layers[id] === layer);
+      requestAnimationFrame(() => interactions.emit('popup', layerId));
+    }
+  });
+}
+
+// Detach the map and dispose of every layer (WebGL layers hold a GL context)
+export function destroy() {
+  if (!map) return;
+
+  const mapLayers = map.getLayers().getArray().slice();
+  map.setTarget(null);
+  mapLayers.forEach(layer => layer.dispose());
+  map.dispose();
+  map = null;
+  popup.remove();
+  popup = null;
+  popupOverlay = null;
+  pointsSource = null;
+  clusterSource = null;
+  Object.keys(layers).forEach(layerId => delete layers[layerId]);
+}
+
+// OpenLayers is ready as soon as the map is constructed
+export function whenReady() {
+  return Promise.resolve();
+}
+
+// Resolves on the next rendercomplete: every layer drawn and no tiles pending
+export function whenRendered() {
+  return new Promise(resolve => {
+    map.once('rendercomplete', () => resolve());
+    map.render();
+  });
+}
+
+export function resize() {
+  if (map) map.updateSize();
+}
+
+// ol/Map reads pixelRatio only in its constructor (10.x has no setter and no
+// View option for it), so the map is rebuilt with the new ratio. Its target,
+// view, layer visibility and current point positions carry over (lines and
+// polygons are in `data`), as do onInteractionRendered() subscriptions; the
+// new map replaces the one getMap() returned, so native listeners on the old
+// one must be attached again.
+export function setPixelRatio(ratio) {
+  if (!map || ratio === pixelRatio) return;
+
+  const container = map.getTargetElement();
+  const view = getView();
+  const visibility = Object.fromEntries(
+    Object.entries(layers).map(([layerId, layer]) => [layerId, layer.getVisible()])
+  );
+  const pointFeatures = pointsSource.getFeatures();
+
+  destroy();
+  pixelRatio = ratio;
+  initMap(container);
+  setView(view);
+  Object.entries(visibility).forEach(([layerId, visible]) => layers[layerId].setVisible(visible));
+  pointsSource.clear(true);
+  pointsSource.addFeatures(pointFeatures);
+  clusterSource.refresh();
+  map.renderSync();
+}
+
+// Each WebGL layer draws into its own canvas; vector buffers are rebuilt in a
+// worker, so a frame right after a data change may still show the old ones
+export function renderSync() {
+  if (!map) return;
+
+  map.renderSync();
+  finishWebGL(map.getViewport().querySelectorAll('canvas'));
+}
+
+// OpenLayers rotation is clockwise radians, bearing is counter-clockwise degrees
+export function setView({ center, zoom, bearing = 0 }) {
+  if (!map) return;
+
+  const view = map.getView();
+  view.setCenter(fromLonLat(center));
+  view.setZoom(zoom);
+  view.setRotation(-bearing * Math.PI / 180);
+}
+
+export function getView() {
+  const view = map.getView();
+  return {
+    center: toLonLat(view.getCenter()),
+    zoom: view.getZoom(),
+    bearing: -view.getRotation() * 180 / Math.PI
+  };
+}
+
+export function setLayerVisibility(layerId, visible) {
+  if (!layers[layerId]) return;
+
+  layers[layerId].setVisible(visible);
+
+  if (layerId === 'cluster') {
+    layers.clusterLabels.setVisible(visible);
+
+    // Hide regular points when clustering is on
+    if (visible) {
+      layers.points.setVisible(false);
+    }
+  }
+}
+
+export function project(lngLat) {
+  return map.getPixelFromCoordinate(fromLonLat(lngLat));
+}
+
+export const onInteractionRendered = interactions.subscribe;
+
+export function getMap() {
+  return map;
+}
+
+export function getFeatureCount() {
+  return data.points.features.length +
+         data.polygons.features.length +
+         data.lines.features.length;
+}
+
+// Animation support - update all point positions
+export function updatePointPositions(animatedData) {
+  if (!pointsSource) return;
+
+  // Clear existing features and add new ones (same path as the Canvas version)
+  const newFeatures = format.readFeatures(animatedData, { featureProjection: 'EPSG:3857' });
+  pointsSource.clear();
+  pointsSource.addFeatures(newFeatures);
+
+  // Refresh cluster source
+  if (clusterSource) {
+    clusterSource.refresh();
+  }
+}
+
+// Update points data (for dynamic point count)
+export function setPointsData(pointsGeoJSON) {
+  if (!pointsSource) return;
+
+  data.points = pointsGeoJSON;
+
+  const newFeatures = format.readFeatures(pointsGeoJSON, { featureProjection: 'EPSG:3857' });
+  pointsSource.clear();
+  pointsSource.addFeatures(newFeatures);
+
+  if (clusterSource) {
+    clusterSource.refresh();
+  }
+}
+
+// Replace the lines (dense line scenario)
+export function setLinesData(linesGeoJSON) {
+  if (!layers.lines) return;
+
+  data.lines = linesGeoJSON;
+
+  const newFeatures = format.readFeatures(linesGeoJSON, { featureProjection: 'EPSG:3857' });
+  const linesSource = layers.lines.getSource();
+  linesSource.clear();
+  linesSource.addFeatures(newFeatures);
+}
+
+export function getLinesData() {
+  return data.lines;
+}
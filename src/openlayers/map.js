@@ -1,4 +1,5 @@
 import Map from 'ol/Map.js';
+import { DEVICE_PIXEL_RATIO } from 'ol/has.js';
 import View from 'ol/View.js';
 import TileLayer from 'ol/layer/Tile.js';
 import VectorLayer from 'ol/layer/Vector.js';
@@ -8,20 +9,40 @@ import VectorSource from 'ol/source/Vector.js';
 import Cluster from 'ol/source/Cluster.js';
 import GeoJSON from 'ol/format/GeoJSON.js';
 import { Style, Fill, Stroke, Circle as CircleStyle, Text } from 'ol/style.js';
-import { fromLonLat } from 'ol/proj.js';
+import { fromLonLat, toLonLat } from 'ol/proj.js';
 import Overlay from 'ol/Overlay.js';
 import 'ol/ol.css';
 
 import { getAllData } from '../data/fake-data.js';
+import { createInteractionEmitter } from '../adapter.js';
+import { DEFAULT_VIEW, toNativeView } from '../map-view.js';
+
+// Adapter contract (see src/adapter.js)
+export const library = {
+  id: 'openlayers',
+  name: 'OpenLayers',
+  color: '#3498db',
+  renderer: 'canvas'
+};
+
+export const capabilities = {
+  heatmap: true,
+  cluster: true,
+  rotation: true,
+  syncRender: true,
+  pixelRatio: true,
+  tileSize: 256
+};
 
-// Shared view configuration (matching Leaflet's discrete zoom)
-const VIEW_CENTER = [-74.0060, 40.7128]; // [lng, lat] for fromLonLat
-const VIEW_ZOOM = 11;
+export const defaultView = toNativeView(DEFAULT_VIEW, capabilities);
 
 let map = null;
+// Pixel ratio the map is built with (see setPixelRatio), null for the device's
+let pixelRatio = null;
 let popup = null;
 let popupOverlay = null;
 const data = getAllData();
+const interactions = createInteractionEmitter();
 const layers = {};
 let pointsSource = null;
 let clusterSource = null;
@@ -144,7 +165,7 @@ const clusterLayer = new VectorLayer({
 map.addLayer(clusterLayer);`
 };
 
-export function initMap() {
+export function initMap(container) {
   // Create popup element
   createPopup();
 
@@ -245,7 +266,8 @@ export function initMap() {
 
   // Create map with fixed center and zoom (matching Leaflet)
   map = new Map({
-    target: 'map-openlayers',
+    target: container,
+    pixelRatio: pixelRatio ?? DEVICE_PIXEL_RATIO,
     layers: [
       new TileLayer({
         source: new OSM()
@@ -257,8 +279,8 @@ export function initMap() {
       layers.points
     ],
     view: new View({
-      center: fromLonLat(VIEW_CENTER),
-      zoom: VIEW_ZOOM
+      center: fromLonLat(defaultView.center),
+      zoom: defaultView.zoom
     }),
     overlays: [popupOverlay]
   });
@@ -330,6 +352,7 @@ function addInteractions() {
     if (feature && feature.layer === layers.polygons) {
       hoveredFeature = feature.feature;
       hoveredFeature.setStyle(createPolygonStyle(hoveredFeature, true));
+      map.once('postrender', () => interactions.emit('hover', 'polygons'));
     }
 
     // Cursor style
@@ -394,10 +417,95 @@ function addInteractions() {
     if (content) {
       popup.querySelector('.ol-popup-content').innerHTML = content;
       popupOverlay.setPosition(e.coordinate);
+      const layerId = Object.keys(layers).find(id => layers[id] === layer);
+      requestAnimationFrame(() => interactions.emit('popup', layerId));
     }
   });
 }
 
+// Detach the map from its target and dispose of it
+export function destroy() {
+  if (!map) return;
+
+  map.setTarget(null);
+  map.dispose();
+  map = null;
+  popup.remove();
+  popup = null;
+  popupOverlay = null;
+  pointsSource = null;
+  clusterSource = null;
+  Object.keys(layers).forEach(layerId => delete layers[layerId]);
+}
+
+// OpenLayers is ready as soon as the map is constructed
+export function whenReady() {
+  return Promise.resolve();
+}
+
+// Resolves on the next rendercomplete: every layer drawn and no tiles pending
+export function whenRendered() {
+  return new Promise(resolve => {
+    map.once('rendercomplete', () => resolve());
+    map.render();
+  });
+}
+
+export function resize() {
+  if (map) map.updateSize();
+}
+
+// ol/Map reads pixelRatio only in its constructor (10.x has no setter and no
+// View option for it), so the map is rebuilt with the new ratio. Its target,
+// view, layer visibility and current point positions carry over (lines and
+// polygons are in `data`), as do onInteractionRendered() subscriptions; the
+// new map replaces the one getMap() returned, so native listeners on the old
+// one must be attached again.
+export function setPixelRatio(ratio) {
+  if (!map || ratio === pixelRatio) return;
+
+  const container = map.getTargetElement();
+  const view = getView();
+  const visibility = Object.fromEntries(
+    Object.entries(layers).map(([layerId, layer]) => [layerId, layer.getVisible()])
+  );
+  const pointFeatures = pointsSource.getFeatures();
+
+  destroy();
+  pixelRatio = ratio;
+  initMap(container);
+  setView(view);
+  Object.entries(visibility).forEach(([layerId, visible]) => layers[layerId].setVisible(visible));
+  pointsSource.clear(true);
+  pointsSource.addFeatures(pointFeatures);
+  clusterSource.refresh();
+  map.renderSync();
+}
+
+// Canvas 2D layers are drawn during renderSync()
+export function renderSync() {
+  if (map) map.renderSync();
+}
+
+// OpenLayers rotation is clockwise radians, bearing is counter-clockwise degrees
+export function setView({ center, zoom, bearing = 0 }) {
+  if (!map) return;
+
+  const view = map.getView();
+  view.setCenter(fromLonLat(center));
+  view.setZoom(zoom);
+  view.setRotation(-bearing * Math.PI / 180);
+}
+
+export function getView() {
+  const view = map.getView();
+  return {
+    center: toLonLat(view.getCenter()),
+    zoom: view.getZoom(),
+    bearing: -view.getRotation() * 180 / Math.PI
+  };
+}
+
 export function setLayerVisibility(layerId, visible) {
   if (!layers[layerId]) return;
 
@@ -409,6 +517,12 @@ export function setLayerVisibility(layerId, visible) {
   }
 }
 
+export function project(lngLat) {
+  return map.getPixelFromCoordinate(fromLonLat(lngLat));
+}
+
+export const onInteractionRendered = interactions.subscribe;
+
 export function getMap() {
   return map;
 }
@@ -448,3 +562,19 @@ export function setPointsData(pointsGeoJSON) {
     clusterSource.refresh();
   }
 }
+
+// Replace the lines (dense line scenario)
+export function setLinesData(linesGeoJSON) {
+  if (!layers.lines) return;
+
+  data.lines = linesGeoJSON;
+
+  const newFeatures = format.readFeatures(linesGeoJSON, { featureProjection: 'EPSG:3857' });
+  const linesSource = layers.lines.getSource();
+  linesSource.clear();
+  linesSource.addFeatures(newFeatures);
+}
+
+export function getLinesData() {
+  return data.lines;
+}
@@ -0,0 +1,66 @@
+// registry.js - Registry of the map libraries being compared
+//
+// A library module implements the adapter contract (src/adapter.js) and
+// declares itself with an exported `library` descriptor:
+//
+//   export const library = {
+//     id: 'maplibre',              // Tab id, results key, map container suffix
+//     name: 'MapLibre GL',         // Display name in charts and leaderboard
+//     tabLabel: 'MapLibre GL JS',  // Optional longer label for the tab button
+//     color: '#2ecc71',            // Chart / leaderboard color
+//     renderer: 'webgl'            // Rendering backend, one of RENDERERS
+//   };
+//
+// Tabs, map containers, layer fan-out and the benchmark matrix are all
+// generated from the registered libraries, in registration order.
+
+import { validateAdapter } from './adapter.js';
+
+export const RENDERERS = ['canvas', 'svg', 'webgl'];
+
+const registered = new Map();
+
+// Register a library adapter; throws if it is malformed or already registered
+export function registerLibrary(adapter) {
+  const library = adapter.library;
+  const errors = validateAdapter(adapter);
+
+  if (!library || typeof library.id !== 'string' || !library.id) {
+    errors.push('library.id must be a non-empty string');
+  } else if (registered.has(library.id)) {
+    errors.push(`library "${library.id}" is already registered`);
+  }
+  if (library && typeof library.name !== 'string') {
+    errors.push('library.name must be a string');
+  }
+  if (library && !/^#[0-9a-f]{6}$/i.test(library.color)) {
+    errors.push('library.color must be a #rrggbb hex color');
+  }
+  if (library && !RENDERERS.includes(library.renderer)) {
+    errors.push(`library.renderer must be one of ${RENDERERS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Cannot register map library: ${errors.join('; ')}`);
+  }
+
+  registered.set(library.id, adapter);
+}
+
+// All registered adapters in registration order
+export function getLibraries() {
+  return [...registered.values()];
+}
+
+export function getLibraryIds() {
+  return [...registered.keys()];
+}
+
+export function getLibrary(id) {
+  return registered.get(id);
+}
+
+// Descriptor ({ id, name, color, renderer }) of a registered library
+export function getLibraryInfo(id) {
+  return registered.get(id).library;
+}
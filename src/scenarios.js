@@ -0,0 +1,387 @@
+// scenarios.js - Workloads the benchmark can measure
+//
+// Each scenario drives one library through the same workload while
+// benchmark.js measures frame times. For every library / count / iteration
+// the runner shows only the scenario's `layers`, then calls:
+//
+//   setup(adapter, context)            Before warmup (may return a promise)
+//   frame(adapter, context, elapsed)   Every animation frame, elapsed in seconds
+//   teardown(adapter, context)         After measuring; undo what setup/frame changed
+//   inputLatency(context)              Optional, before teardown: { samples, misses } where
+//                                      samples are input-to-render latencies in ms
+//
+// context: { lib, container, points, count, seed, warmupMs, view, state } where
+// `points` is the seeded point data for `count`, `view` is the adapter's native
+// view of the canonical bounds (src/map-view.js) the test starts from and
+// `state` is per-run scratch space.
+// Scenarios with `requires` only run on libraries that have that capability
+// (see CAPABILITY_FLAGS in src/adapter.js). `countLabel` / `countUnit` name
+// what the count means for the scenario (chart axis / progress text).
+
+import { getPoints, getLines, getDefaultPolygons } from './data/fake-data.js';
+import { getCameraAt } from './camera-path.js';
+import { toNativeView } from './map-view.js';
+
+// Input latency scenario: one synthetic input every INPUT_INTERVAL_MS, counted
+// as a miss when nothing is drawn within INPUT_TIMEOUT_MS
+const INPUT_INTERVAL_MS = 250;
+const INPUT_TIMEOUT_MS = 500;
+// Targets closer than this to the container edge are skipped
+const TARGET_MARGIN = 20;
+// Candidates tried per input before the input is skipped
+const TARGET_ATTEMPTS = 50;
+// Popups of every library; a target under an open popup cannot be reached
+const POPUP_SELECTOR = '.leaflet-popup, .ol-popup, .maplibregl-popup, .deckgl-popup';
+
+// Animation buffer cache to avoid GC pressure during benchmarks
+// Key: point count, Value: { baseCoords, animatedPoints }
+const animationBuffers = new Map();
+
+// Pre-allocate animation buffer for a given point set
+function getAnimationBuffer(basePoints) {
+  const count = basePoints.features.length;
+
+  if (!animationBuffers.has(count)) {
+    // Cache base coordinates and create reusable GeoJSON structure
+    const baseCoords = basePoints.features.map(f => [...f.geometry.coordinates]);
+    const animatedPoints = {
+      type: 'FeatureCollection',
+      features: basePoints.features.map((feature, i) => ({
+        type: 'Feature',
+        properties: feature.properties,
+        geometry: {
+          type: 'Point',
+          coordinates: [baseCoords[i][0], baseCoords[i][1]] // Will be mutated in place
+        }
+      }))
+    };
+    animationBuffers.set(count, { baseCoords, animatedPoints });
+  }
+
+  return animationBuffers.get(count);
+}
+
+// Update animated points in place (no allocations per frame)
+function updateAnimatedPoints(basePoints, elapsed) {
+  const { baseCoords, animatedPoints } = getAnimationBuffer(basePoints);
+  const features = animatedPoints.features;
+
+  for (let i = 0; i < features.length; i++) {
+    const [baseLng, baseLat] = baseCoords[i];
+    const phase = i * 0.1;
+    const speed = 0.5 + (i % 5) * 0.2;
+    const radius = 0.002 + (i % 10) * 0.0005;
+
+    // Mutate coordinates in place - no new object allocation
+    const coords = features[i].geometry.coordinates;
+    coords[0] = baseLng + Math.cos(elapsed * speed + phase) * radius;
+    coords[1] = baseLat + Math.sin(elapsed * speed + phase) * radius;
+  }
+
+  return animatedPoints;
+}
+
+// Free the animation buffers (call when a benchmark run is reset)
+export function clearScenarioBuffers() {
+  animationBuffers.clear();
+}
+
+// Move every point along its circle
+function animatePoints(adapter, { points }, elapsed) {
+  adapter.updatePointPositions(updateAnimatedPoints(points, elapsed));
+}
+
+function resetPoints(adapter, { points }) {
+  adapter.updatePointPositions(points);
+}
+
+function resetView(adapter, { view }) {
+  adapter.setView(view);
+}
+
+// Offset the test's starting view; zoom offsets are in levels so they mean the
+// same ground extent change for 256px and 512px tile libraries
+function offsetView(adapter, { view }, dLng, dLat, dZoom) {
+  const { center, zoom } = view;
+  adapter.setView({ center: [center[0] + dLng, center[1] + dLat], zoom: zoom + dZoom, bearing: 0 });
+}
+
+// Dispatch the pointer and mouse events a real cursor move produces at a
+// container position; each library listens to a different subset of them
+function movePointer(container, state, x, y) {
+  const rect = container.getBoundingClientRect();
+  const clientX = rect.left + x;
+  const clientY = rect.top + y;
+  const target = document.elementFromPoint(clientX, clientY) || container;
+  const init = { bubbles: true, cancelable: true, clientX, clientY, pointerType: 'mouse', isPrimary: true };
+
+  if (target !== state.pointerTarget) {
+    if (state.pointerTarget) {
+      state.pointerTarget.dispatchEvent(new PointerEvent('pointerout', init));
+      state.pointerTarget.dispatchEvent(new MouseEvent('mouseout', init));
+    }
+    target.dispatchEvent(new PointerEvent('pointerover', init));
+    target.dispatchEvent(new MouseEvent('mouseover', init));
+    state.pointerTarget = target;
+  }
+
+  target.dispatchEvent(new PointerEvent('pointermove', init));
+  target.dispatchEvent(new MouseEvent('mousemove', init));
+}
+
+function releasePointer(container, state) {
+  if (!state.pointerTarget) return;
+
+  const init = { bubbles: true, clientX: 0, clientY: 0, pointerType: 'mouse', isPrimary: true };
+  state.pointerTarget.dispatchEvent(new PointerEvent('pointerout', init));
+  state.pointerTarget.dispatchEvent(new MouseEvent('mouseout', init));
+  container.dispatchEvent(new PointerEvent('pointerleave', init));
+  container.dispatchEvent(new MouseEvent('mouseleave', init));
+  state.pointerTarget = null;
+}
+
+// Dispatch the events of a left click at a container position
+function clickPointer(container, x, y) {
+  const rect = container.getBoundingClientRect();
+  const clientX = rect.left + x;
+  const clientY = rect.top + y;
+  const target = document.elementFromPoint(clientX, clientY) || container;
+  const init = { bubbles: true, cancelable: true, clientX, clientY, button: 0, pointerType: 'mouse', isPrimary: true };
+
+  target.dispatchEvent(new PointerEvent('pointerdown', { ...init, buttons: 1 }));
+  target.dispatchEvent(new MouseEvent('mousedown', { ...init, buttons: 1 }));
+  target.dispatchEvent(new PointerEvent('pointerup', init));
+  target.dispatchEvent(new MouseEvent('mouseup', init));
+  target.dispatchEvent(new MouseEvent('click', init));
+}
+
+// Container position of a coordinate, or null when it is off screen or
+// covered by a popup
+function getTargetPixel(adapter, container, lngLat) {
+  const pixel = adapter.project(lngLat);
+  if (!pixel) return null;
+
+  const [x, y] = pixel;
+  const width = container.clientWidth;
+  const height = container.clientHeight;
+  if (!(x >= TARGET_MARGIN && x <= width - TARGET_MARGIN && y >= TARGET_MARGIN && y <= height - TARGET_MARGIN)) {
+    return null;
+  }
+
+  const rect = container.getBoundingClientRect();
+  const element = document.elementFromPoint(rect.left + x, rect.top + y);
+  return element?.closest(POPUP_SELECTOR) ? null : [x, y];
+}
+
+// Next reachable target, cycling through the coordinates from `state[key]`
+function nextTarget(adapter, container, state, key, coordinates) {
+  for (let attempt = 0; attempt < Math.min(coordinates.length, TARGET_ATTEMPTS); attempt++) {
+    const index = state[key];
+    state[key] = (index + 1) % coordinates.length;
+    const pixel = getTargetPixel(adapter, container, coordinates[index]);
+    if (pixel) return pixel;
+  }
+  return null;
+}
+
+// Average of a polygon's vertices (without the closing one)
+function getPolygonCenter(feature) {
+  const ring = feature.geometry.coordinates[0].slice(0, -1);
+  return [
+    ring.reduce((sum, [lng]) => sum + lng, 0) / ring.length,
+    ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length
+  ];
+}
+
+// Alternate hovering a polygon and clicking a point, one input at a time
+function sendInput(adapter, { container, state }, now, measured) {
+  const hover = state.nextInputType === 'hover';
+  state.nextInputType = hover ? 'popup' : 'hover';
+
+  let pixel;
+  if (hover) {
+    // Leave the previous polygon so the next one is entered afresh
+    releasePointer(container, state);
+    pixel = nextTarget(adapter, container, state, 'nextPolygon', state.polygonCenters);
+  } else {
+    // Points are clicked where the last frame moved them
+    pixel = nextTarget(adapter, container, state, 'nextPoint', state.pointCoordinates);
+  }
+  if (!pixel) return;
+
+  state.pending = { type: hover ? 'hover' : 'popup', start: now, measured };
+  if (hover) {
+    movePointer(container, state, pixel[0], pixel[1]);
+  } else {
+    clickPointer(container, pixel[0], pixel[1]);
+  }
+}
+
+export const SCENARIOS = [
+  {
+    id: 'animated-points',
+    name: 'Animated points',
+    description: 'Every point moves along a small circle each frame',
+    countLabel: 'Point Count',
+    countUnit: 'points',
+    layers: ['points'],
+    setup: () => {},
+    frame: animatePoints,
+    teardown: resetPoints
+  },
+  {
+    id: 'camera-flythrough',
+    name: 'Camera flythrough',
+    description: 'Static data, the camera follows a scripted path of pans, zooms and rotation (tiles load along the way)',
+    countLabel: 'Point Count',
+    countUnit: 'points',
+    layers: ['points', 'polygons', 'lines'],
+    setup: (adapter) => {
+      adapter.setView(toNativeView(getCameraAt(0), adapter.capabilities));
+    },
+    frame: (adapter, context, elapsed) => {
+      adapter.setView(toNativeView(getCameraAt(elapsed), adapter.capabilities));
+    },
+    teardown: resetView
+  },
+  {
+    id: 'heatmap',
+    name: 'Heatmap animation',
+    description: 'Animated points rendered through the heatmap layer',
+    countLabel: 'Point Count',
+    countUnit: 'points',
+    requires: 'heatmap',
+    layers: ['heatmap'],
+    setup: () => {},
+    frame: animatePoints,
+    teardown: resetPoints
+  },
+  {
+    id: 'cluster-zoom',
+    name: 'Cluster zoom',
+    description: 'Zooming across integer levels so clusters are recomputed',
+    countLabel: 'Point Count',
+    countUnit: 'points',
+    requires: 'cluster',
+    layers: ['cluster'],
+    setup: () => {},
+    frame: (adapter, context, elapsed) => {
+      offsetView(adapter, context, 0, 0, 1.5 - 1.5 * Math.cos(elapsed * 0.8));
+    },
+    teardown: resetView
+  },
+  {
+    id: 'polygon-hover',
+    name: 'Polygon hover storm',
+    description: 'A synthetic cursor sweeps the map, hovering polygons every frame',
+    countLabel: 'Point Count',
+    countUnit: 'points',
+    layers: ['points', 'polygons'],
+    setup: () => {},
+    frame: (adapter, { container, state }, elapsed) => {
+      // Lissajous sweep over the middle 80% of the map
+      const width = container.clientWidth;
+      const height = container.clientHeight;
+      const x = width * (0.5 + 0.4 * Math.sin(elapsed * 1.3));
+      const y = height * (0.5 + 0.4 * Math.sin(elapsed * 1.7 + 0.5));
+      movePointer(container, state, x, y);
+    },
+    teardown: (adapter, { container, state }) => {
+      releasePointer(container, state);
+    }
+  },
+  {
+    id: 'dense-lines',
+    name: 'Dense lines',
+    description: 'One line per count with a slow pan so they are redrawn every frame',
+    countLabel: 'Line Count',
+    countUnit: 'lines',
+    layers: ['lines'],
+    setup: (adapter, { count, seed, state }) => {
+      state.originalLines = adapter.getLinesData();
+      adapter.setLinesData(getLines(count, seed));
+    },
+    frame: (adapter, context, elapsed) => {
+      offsetView(adapter, context, Math.cos(elapsed * 0.4) * 0.01, Math.sin(elapsed * 0.4) * 0.01, 0);
+    },
+    teardown: (adapter, context) => {
+      adapter.setLinesData(context.state.originalLines);
+      resetView(adapter, context);
+    }
+  },
+  {
+    id: 'data-reload',
+    name: 'Data reload',
+    description: 'The whole point dataset is replaced every frame',
+    countLabel: 'Point Count',
+    countUnit: 'points',
+    layers: ['points'],
+    setup: (adapter, { count, seed, state }) => {
+      state.alternatePoints = getPoints(count, seed + 1);
+    },
+    frame: (adapter, { points, state }) => {
+      state.showAlternate = !state.showAlternate;
+      adapter.setPointsData(state.showAlternate ? state.alternatePoints : points);
+    },
+    teardown: (adapter, { points }) => {
+      adapter.setPointsData(points);
+    }
+  },
+  {
+    id: 'input-latency',
+    name: 'Input latency',
+    description: 'Hovers polygons and clicks moving points, timing each input until its highlight or popup is drawn',
+    countLabel: 'Point Count',
+    countUnit: 'points',
+    layers: ['points', 'polygons'],
+    setup: (adapter, { points, state }) => {
+      state.polygonCenters = getDefaultPolygons().features.map(getPolygonCenter);
+      state.pointCoordinates = getAnimationBuffer(points).animatedPoints.features.map(f => f.geometry.coordinates);
+      state.nextPolygon = 0;
+      state.nextPoint = 0;
+      state.nextInputType = 'hover';
+      state.nextInputAt = 0;
+      state.pending = null;
+      state.latencies = [];
+      state.misses = 0;
+      state.unsubscribe = adapter.onInteractionRendered(({ type, time }) => {
+        const { pending } = state;
+        if (!pending || type !== pending.type) return;
+        if (pending.measured) state.latencies.push(time - pending.start);
+        state.pending = null;
+      });
+    },
+    frame: (adapter, context, elapsed) => {
+      const { state, warmupMs } = context;
+      animatePoints(adapter, context, elapsed);
+
+      const now = performance.now();
+      if (state.pending && now - state.pending.start > INPUT_TIMEOUT_MS) {
+        if (state.pending.measured) state.misses++;
+        state.pending = null;
+      }
+      if (state.pending || now < state.nextInputAt) return;
+
+      state.nextInputAt = now + INPUT_INTERVAL_MS;
+      sendInput(adapter, context, now, elapsed * 1000 >= warmupMs);
+    },
+    teardown: (adapter, context) => {
+      const { container, state } = context;
+      state.unsubscribe();
+      releasePointer(container, state);
+      resetPoints(adapter, context);
+    },
+    inputLatency: ({ state }) => ({ samples: state.latencies, misses: state.misses })
+  }
+];
+
+export const DEFAULT_SCENARIO_IDS = ['animated-points'];
+
+export function getScenario(id) {
+  return SCENARIOS.find(scenario => scenario.id === id);
+}
+
+// Whether a library can run a scenario
+export function supportsScenario(adapter, scenario) {
+  return !scenario.requires || adapter.capabilities[scenario.requires];
+}
@@ -0,0 +1,123 @@
+// statistics.js - Bootstrap confidence intervals and pairwise tests for FPS
+//
+// A run measures each library / count a few times (iterations), each time
+// collecting a few hundred frame times. The bootstrap mirrors how the
+// combined median FPS is computed: resample the iterations, resample the
+// frame times inside each, take every iteration's median FPS and then the
+// median across iterations. Resampling iterations as well as frames keeps
+// run-to-run variation (GC, thermal state, tile loads) in the interval.
+//
+// Two libraries differ significantly at a count when the 95% interval of the
+// difference between their bootstrap medians excludes zero. Tests are not
+// corrected for multiple comparisons; treat a single significant count with
+// care when many libraries and counts are compared.
+//
+// Throughput runs record tens of thousands of render times per iteration, so
+// each resample draws at most MAX_RESAMPLED_FRAMES of them. That keeps the
+// bootstrap fast enough for the main thread; the interval it gives is that of
+// a smaller sample, i.e. somewhat wider than the data would allow.
+
+const RESAMPLES = 1000;
+const CONFIDENCE = 0.95;
+const MAX_RESAMPLED_FRAMES = 1000;
+
+// k-th smallest value (0-based) of an array, reordering it in place
+function select(values, k) {
+  let left = 0;
+  let right = values.length - 1;
+
+  while (left < right) {
+    const pivot = values[(left + right) >> 1];
+    let i = left;
+    let j = right;
+    while (i <= j) {
+      while (values[i] < pivot) i++;
+      while (values[j] > pivot) j--;
+      if (i <= j) {
+        const swap = values[i];
+        values[i] = values[j];
+        values[j] = swap;
+        i++;
+        j--;
+      }
+    }
+    if (k <= j) right = j;
+    else if (k >= i) left = i;
+    else break;
+  }
+  return values[k];
+}
+
+function median(values) {
+  const mid = values.length >> 1;
+  const upper = select(values, mid);
+  if (values.length % 2 === 1) return upper;
+
+  // select() leaves the lower half before `mid`, so its largest is the other middle value
+  let lower = values[0];
+  for (let i = 1; i < mid; i++) {
+    if (values[i] > lower) lower = values[i];
+  }
+  return (lower + upper) / 2;
+}
+
+// Percentile (0-1) of an ascending array, linear between ranks
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Bootstrap replicates of the median FPS across iterations
+// iterationFrameTimes: one array of frame times (ms) per iteration
+export function bootstrapMedianFps(iterationFrameTimes, random, resamples = RESAMPLES) {
+  const iterations = iterationFrameTimes.filter(frameTimes => frameTimes?.length > 0);
+  if (iterations.length === 0) return null;
+
+  const replicates = new Float64Array(resamples);
+  const iterationFps = new Float64Array(iterations.length);
+  const buffers = iterations.map(frameTimes => new Float64Array(Math.min(frameTimes.length, MAX_RESAMPLED_FRAMES)));
+
+  for (let r = 0; r < resamples; r++) {
+    for (let i = 0; i < iterations.length; i++) {
+      const pick = Math.floor(random() * iterations.length);
+      const frameTimes = iterations[pick];
+      const buffer = buffers[pick];
+      for (let f = 0; f < buffer.length; f++) {
+        buffer[f] = frameTimes[Math.floor(random() * frameTimes.length)];
+      }
+      iterationFps[i] = 1000 / median(buffer);
+    }
+    replicates[r] = median(iterationFps);
+  }
+
+  return replicates;
+}
+
+// Central confidence interval [low, high] of bootstrap replicates
+export function confidenceInterval(replicates, confidence = CONFIDENCE) {
+  const sorted = Float64Array.from(replicates).sort();
+  const tail = (1 - confidence) / 2;
+  return [round(percentile(sorted, tail)), round(percentile(sorted, 1 - tail))];
+}
+
+// Compare two libraries from their (independent) bootstrap replicates:
+// difference = a - b in median FPS, with its interval and a two-sided p-value
+export function compareReplicates(a, b, confidence = CONFIDENCE) {
+  const differences = a.map((value, i) => value - b[i]);
+  const [low, high] = confidenceInterval(differences, confidence);
+  const below = differences.filter(value => value <= 0).length / differences.length;
+  const above = differences.filter(value => value >= 0).length / differences.length;
+
+  return {
+    difference: round(percentile(Float64Array.from(differences).sort(), 0.5)),
+    ci: [low, high],
+    pValue: Math.min(1, 2 * Math.min(below, above)),
+    significant: low > 0 || high < 0
+  };
+}
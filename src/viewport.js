@@ -0,0 +1,39 @@
+// viewport.js - Screen sizes the benchmark can emulate
+//
+// A preset constrains the map container to a CSS size and makes each library
+// render at the preset's pixel ratio (adapter.setPixelRatio()), so a phone or
+// a 4K monitor can be measured from one machine. Presets larger than the
+// window overflow it; the maps still render at full size.
+
+export const VIEWPORT_PRESETS = [
+  { id: 'phone', name: 'Phone', width: 390, height: 844, pixelRatio: 3 },
+  { id: 'laptop', name: 'Laptop', width: 1280, height: 800, pixelRatio: 1 },
+  { id: 'qhd', name: 'QHD monitor', width: 2560, height: 1440, pixelRatio: 2 }
+];
+
+export function getViewportPreset(id) {
+  return VIEWPORT_PRESETS.find(preset => preset.id === id);
+}
+
+// Short label, e.g. "390×844 @3x"
+export function formatViewport({ width, height, pixelRatio }) {
+  return `${width}×${height} @${pixelRatio}x`;
+}
+
+// Device pixels drawn per frame
+export function getPixelCount({ width, height, pixelRatio }) {
+  return Math.round(width * height * pixelRatio * pixelRatio);
+}
+
+// Whether a library can be measured at a preset: it must be able to force the
+// pixel ratio unless the preset uses the device's own
+export function supportsViewport(adapter, viewport) {
+  return adapter.capabilities.pixelRatio || viewport.pixelRatio === window.devicePixelRatio;
+}
+
+// Constrain the map container to a preset's CSS size; null restores the layout
+export function applyViewport(container, viewport) {
+  container.style.flex = viewport ? 'none' : '';
+  container.style.width = viewport ? `${viewport.width}px` : '';
+  container.style.height = viewport ? `${viewport.height}px` : '';
+}
@@ -1,8 +1,25 @@
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vite';
 
+// Installed version of every dependency in package.json, recorded with each
+// benchmark run (see src/environment.js)
+function getLibraryVersions() {
+  const { dependencies } = JSON.parse(readFileSync('package.json', 'utf8'));
+  return Object.fromEntries(Object.entries(dependencies).map(([name, range]) => {
+    try {
+      return [name, JSON.parse(readFileSync(`node_modules/${name}/package.json`, 'utf8')).version];
+    } catch {
+      return [name, range];
+    }
+  }));
+}
+
 export default defineConfig({
   server: {
     port: 3000,
     open: true
+  },
+  define: {
+    __LIBRARY_VERSIONS__: JSON.stringify(getLibraryVersions())
   }
 });